@@ -6,6 +6,12 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const admin = require('firebase-admin');
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const multer = require('multer');
+const safeRegex = require('safe-regex2');
+const sharp = require('sharp');
 
 // Initialize Firebase Admin SDK
 const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT_KEY || '{}');
@@ -15,12 +21,31 @@ if (!admin.apps.length && serviceAccount.project_id) {
     projectId: serviceAccount.project_id
   });
   console.log('✅ Firebase Admin SDK initialized');
+} else if (!admin.apps.length && process.env.FIRESTORE_EMULATOR_HOST) {
+  // The local emulators (used by the tests) need only a project id
+  admin.initializeApp({ projectId: process.env.GCLOUD_PROJECT || 'demo-femina' });
+  console.log('✅ Firebase Admin SDK initialized against the emulators');
 }
 
 const db = admin.firestore();
 
+// Secret for anonymous pseudonyms; changing it renames every anonymous author
+// Without a key anyone could recompute a pseudonym from a uid and post id, so refuse to start
+const ANONYMOUS_ID_SECRET = process.env.ANONYMOUS_ID_SECRET || serviceAccount.private_key;
+if (!ANONYMOUS_ID_SECRET) {
+  console.error('❌ ANONYMOUS_ID_SECRET is not set and no service account key is configured to derive it from');
+  process.exit(1);
+}
+if (!process.env.ANONYMOUS_ID_SECRET) {
+  console.warn('⚠️ ANONYMOUS_ID_SECRET not set; deriving anonymous pseudonyms from the service account key');
+}
+
 const app = express();
 
+// Behind reverse proxies, set TRUST_PROXY_HOPS to how many there are so req.ip is the client address
+// (used to count signed-out views) instead of whatever a client writes into X-Forwarded-For
+app.set('trust proxy', Number(process.env.TRUST_PROXY_HOPS) || false);
+
 // Basic middleware
 app.use(cors({ origin: true }));
 app.use(express.json({ limit: '10mb' }));
@@ -29,12 +54,67 @@ app.use(express.urlencoded({ extended: true }));
 // Categories enum for posts
 const CATEGORIES = ['general','health','relationships','fitness','career','fun','parenting','lifestyle','support'];
 
+// Rolling windows accepted by `timeframe` filters
+const TIMEFRAMES = {
+  '24h': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
+  '30d': 30 * 24 * 60 * 60 * 1000
+};
+
+// Start of a rolling timeframe window, or null for 'all'/unknown values
+const timeframeCutoff = (timeframe) => (
+  Object.prototype.hasOwnProperty.call(TIMEFRAMES, timeframe)
+    ? new Date(Date.now() - TIMEFRAMES[timeframe])
+    : null
+);
+
+// Deepest reply level allowed in comment threads (0 = top-level comment)
+const MAX_COMMENT_DEPTH = 2;
+
 // Admin bootstrap emails from environment
 const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '').split(',').map(email => email.trim()).filter(Boolean);
 
 // Rate limiting for admin actions
 const adminActionLimits = new Map(); // uid -> { count, resetTime }
 
+// Short-lived cache of user profiles for author hydration
+const USER_PROFILE_CACHE_TTL = 60 * 1000; // 1 minute
+const USER_PROFILE_CACHE_MAX = 5000;
+const userProfileCache = new Map(); // uid -> { data, expiresAt }
+
+// Staff-maintained tag blocklist and trending results, cached briefly in-process
+const TAG_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+let blockedTagsCache = { tags: null, expiresAt: 0 };
+const trendingTagsCache = new Map(); // timeframe -> { tags, expiresAt }
+
+// Admin-editable auto-moderation rules, cached briefly in-process
+const MODERATION_RULES_CACHE_TTL = 60 * 1000; // 1 minute
+let moderationRulesCache = { rules: null, matchers: null, expiresAt: 0 };
+
+// User sanctions: warnings are a record only; suspensions (with expiry) and bans block writes
+const SANCTION_TYPES = ['warning', 'suspension', 'ban'];
+const MAX_SUSPENSION_HOURS = 365 * 24;
+const SANCTION_EXEMPT_ROUTES = ['POST /v1/moderation/appeals'];
+
+// The restriction in force for a sanction, or null for warnings and expired suspensions
+const activeRestriction = (sanction, now = new Date()) => {
+  if (!sanction) return null;
+  if (sanction.type === 'ban') return { ...sanction, expiresAt: null };
+  const expiresAt = sanction.expiresAt && sanction.expiresAt.toDate ? sanction.expiresAt.toDate() : sanction.expiresAt;
+  if (sanction.type === 'suspension' && expiresAt && expiresAt > now) return { ...sanction, expiresAt };
+  return null;
+};
+
+// Image uploads: validated, re-encoded without metadata, and stored with a thumbnail
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024; // 10MB per file
+const MAX_IMAGES_PER_UPLOAD = 10;
+const MAX_IMAGE_INPUT_PIXELS = 40 * 1000 * 1000; // refuse decompression bombs before decoding (fits 40MP photos)
+const MAX_IMAGE_DIMENSION = 2048;
+const THUMBNAIL_DIMENSION = 400;
+const IMAGE_FORMATS = { jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp' }; // sharp format -> MIME type
+const ASSET_ID_PATTERN = /^[A-Za-z0-9]{20}$/; // Firestore auto-generated ids
+const ASSET_BASE_URL = process.env.PUBLIC_BASE_URL || ''; // prefix for asset URLs in responses
+
 // Authentication middleware
 const authenticateUser = async (req, res, next) => {
   try {
@@ -59,6 +139,22 @@ const authenticateUser = async (req, res, next) => {
       role: userData.role || 'user',
       customClaims: decodedToken
     };
+
+    // Suspended and banned accounts can still read (and appeal removals), but every other write is refused
+    const sanction = activeRestriction(userData.activeSanction);
+    const exempt = ['GET', 'HEAD', 'OPTIONS'].includes(req.method) ||
+      SANCTION_EXEMPT_ROUTES.includes(`${req.method} ${req.path}`);
+    if (sanction && !exempt) {
+      const banned = sanction.type === 'ban';
+      return res.status(403).json({
+        error: banned ? 'Account banned' : 'Account suspended',
+        message: banned
+          ? 'Your account has been banned'
+          : `Your account is suspended until ${sanction.expiresAt.toISOString()}`,
+        reason: sanction.reason,
+        expiresAt: sanction.expiresAt ? sanction.expiresAt.toISOString() : null
+      });
+    }
     
     next();
   } catch (error) {
@@ -108,38 +204,44 @@ const adminGuard = async (req, res, next) => {
   }
 };
 
+// Check whether a user is staff (moderator OR admin)
+const isStaffUser = async (user) => {
+  // Check if user is a moderator first: the users doc role is read per request, so demotion applies at once
+  // (the moderator claim in an ID token would stay valid until the token expires)
+  if (user.role === 'moderator') {
+    return true;
+  }
+
+  // Then check admin status using existing admin guard logic
+  // Check 1: Firebase custom claims role=admin (primary fast check)
+  if (user.customClaims && user.customClaims.role === 'admin') {
+    return true;
+  }
+
+  // Check 2: Bootstrap admin emails
+  if (ADMIN_EMAILS.includes(user.email)) {
+    return true;
+  }
+
+  // Check 3: Check admins collection
+  const adminDoc = await db.collection('admins').doc(user.uid).get();
+  if (adminDoc.exists) {
+    return true;
+  }
+
+  // Also check by email in admins collection
+  const adminByEmailQuery = await db.collection('admins')
+    .where('email', '==', user.email)
+    .limit(1)
+    .get();
+
+  return !adminByEmailQuery.empty;
+};
+
 // Staff guard middleware (allows moderators OR admins)
 const staffGuard = async (req, res, next) => {
   try {
-    // Check if user is a moderator first
-    if (req.user.role === 'moderator') {
-      return next();
-    }
-    
-    // Then check admin status using existing admin guard logic
-    // Check 1: Firebase custom claims role=admin (primary fast check)
-    if (req.user.customClaims.role === 'admin') {
-      return next();
-    }
-    
-    // Check 2: Bootstrap admin emails
-    if (ADMIN_EMAILS.includes(req.user.email)) {
-      return next();
-    }
-    
-    // Check 3: Check admins collection
-    const adminDoc = await db.collection('admins').doc(req.user.uid).get();
-    if (adminDoc.exists) {
-      return next();
-    }
-    
-    // Also check by email in admins collection
-    const adminByEmailQuery = await db.collection('admins')
-      .where('email', '==', req.user.email)
-      .limit(1)
-      .get();
-    
-    if (!adminByEmailQuery.empty) {
+    if (await isStaffUser(req.user)) {
       return next();
     }
     
@@ -201,7 +303,8 @@ const optionalAuth = async (req, res, next) => {
         name: userData.name || decodedToken.name || 'Anonymous',
         avatarUrl: userData.avatarUrl || decodedToken.picture || null,
         verified: userData.verified || false,
-        role: userData.role || 'user'
+        role: userData.role || 'user',
+        customClaims: decodedToken
       };
     }
     next();
@@ -211,1069 +314,5809 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-// ========== API ROUTES ==========
-
-// Health check
-app.get('/v1/health', (req, res) => {
-  res.json({ 
-    ok: true,
-    status: 'healthy', 
-    timestamp: new Date().toISOString(),
-    message: 'Femina Backend API is running!' 
+// Cursor pagination helpers
+// A cursor is an opaque base64url token holding the last item's sort-key values and document ID
+const encodeCursor = (doc, sortFields) => {
+  const values = sortFields.map((field) => {
+    const value = doc.get(field);
+    return value && value.toMillis ? { ts: value.toMillis() } : value;
   });
-});
-
-// Root endpoint for deployment verification
-app.get('/', (req, res) => {
-  res.type('text').send('Femina API - Backend Running');
-});
-
-// ========== POSTS API ==========
+  return Buffer.from(JSON.stringify({ v: values, id: doc.id })).toString('base64url');
+};
 
-// GET /v1/posts - List posts with filters and sorting
-app.get('/v1/posts', optionalAuth, async (req, res) => {
+// Returns the startAfter() arguments for a cursor, or null if it is malformed
+const decodeCursor = (cursor, sortFields) => {
   try {
-    // Normalize category filter
-    if (req.query.category) {
-      req.query.category = String(req.query.category).toLowerCase().trim();
+    const { v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!Array.isArray(v) || v.length !== sortFields.length || typeof id !== 'string') {
+      return null;
     }
+    const values = v.map((value) => (value && typeof value.ts === 'number'
+      ? admin.firestore.Timestamp.fromMillis(value.ts)
+      : value));
+    return [...values, id];
+  } catch (e) {
+    return null;
+  }
+};
 
-    const {
-      category,
-      sortBy = 'new',
-      timeframe = 'all',
-      page = '1',
-      limit = '20',
-      updatedAfter
-    } = req.query;
+// Apply ordering (document ID breaks ties) and cursor/offset paging; fetches one extra doc for hasMore
+const paginateQuery = (query, orderBy, { startAfter, offset, limit }) => {
+  for (const [field, direction] of orderBy) {
+    query = query.orderBy(field, direction);
+  }
+  query = query.orderBy(admin.firestore.FieldPath.documentId(), orderBy[orderBy.length - 1][1]);
 
-    const pageNum = parseInt(page, 10);
-    const limitNum = Math.min(parseInt(limit, 10), 50); // Max 50 per page
-    const offset = (pageNum - 1) * limitNum;
+  if (startAfter) {
+    query = query.startAfter(...startAfter);
+  } else if (offset > 0) {
+    query = query.offset(offset); // Legacy page-based paging
+  }
+  return query.limit(limit + 1);
+};
 
-    let query = db.collection('posts');
+// Firestore 'in' filters accept at most 30 values
+const MAX_IN_FILTER_VALUES = 30;
 
-    // Filter by category
-    if (category && CATEGORIES.includes(category)) {
-      query = query.where('category', '==', category);
+const toComparable = (value) => (value && value.toMillis ? value.toMillis() : (value ?? 0));
+
+// Paginate a query restricted to many authors: each chunk of authorIds is queried with the same
+// ordering/cursor and the results merged in sort order (offset paging over-fetches per chunk)
+const paginateByAuthors = async (query, authorIds, orderBy, { startAfter, offset, limit }) => {
+  const chunks = [];
+  for (let i = 0; i < authorIds.length; i += MAX_IN_FILTER_VALUES) {
+    chunks.push(authorIds.slice(i, i + MAX_IN_FILTER_VALUES));
+  }
+
+  const snapshots = await Promise.all(chunks.map(ids => paginateQuery(
+    query.where('authorId', 'in', ids),
+    orderBy,
+    { startAfter, offset: 0, limit: offset + limit }
+  ).get()));
+
+  const lastDirection = orderBy[orderBy.length - 1][1];
+  const compare = (a, b) => {
+    for (const [field, direction] of orderBy) {
+      const diff = toComparable(a.get(field)) - toComparable(b.get(field));
+      if (diff !== 0) return direction === 'desc' ? -diff : diff;
     }
+    const idDiff = a.id < b.id ? -1 : (a.id > b.id ? 1 : 0);
+    return lastDirection === 'desc' ? -idDiff : idDiff;
+  };
 
-    // Exclude pending and removed posts
-    query = query.where('moderationStatus', '==', 'approved');
+  return snapshots
+    .flatMap(snapshot => snapshot.docs)
+    .sort(compare)
+    .slice(offset, offset + limit + 1); // +1 to check if there are more
+};
 
-    // Timeframe filtering
-    if (timeframe !== 'all') {
-      const timeframes = {
-        '24h': 24 * 60 * 60 * 1000,
-        '7d': 7 * 24 * 60 * 60 * 1000,
-        '30d': 30 * 24 * 60 * 60 * 1000
-      };
-      
-      if (timeframes[timeframe]) {
-        const cutoffTime = new Date(Date.now() - timeframes[timeframe]);
-        query = query.where('createdAt', '>=', cutoffTime);
-      }
+// Author resolution helpers
+// Resolve user profiles for a set of uids: de-duplicated, cached, and fetched in one getAll batch
+const getUserProfiles = async (uids) => {
+  const now = Date.now();
+  const profiles = new Map(); // uid -> profile data (null if no users doc)
+  const missing = [];
+
+  for (const uid of new Set(uids.filter(Boolean))) {
+    const cached = userProfileCache.get(uid);
+    if (cached && cached.expiresAt > now) {
+      profiles.set(uid, cached.data);
+    } else {
+      missing.push(uid);
     }
+  }
 
-    // UpdatedAfter filter for auto-refresh
-    if (updatedAfter) {
-      try {
-        const afterDate = new Date(updatedAfter);
-        query = query.where('updatedAt', '>=', afterDate);
-      } catch (e) {
-        // Invalid date format, ignore filter
+  if (missing.length > 0) {
+    const docs = await db.getAll(...missing.map(uid => db.collection('users').doc(uid)));
+    for (const doc of docs) {
+      const data = doc.exists ? doc.data() : null;
+      profiles.set(doc.id, data);
+
+      // Evict the oldest entry once the cache is full (Map keeps insertion order)
+      if (userProfileCache.size >= USER_PROFILE_CACHE_MAX) {
+        userProfileCache.delete(userProfileCache.keys().next().value);
       }
+      userProfileCache.set(doc.id, { data, expiresAt: now + USER_PROFILE_CACHE_TTL });
     }
+  }
 
-    // Sorting
-    switch (sortBy) {
-      case 'top':
-        query = query.orderBy('likes', 'desc').orderBy('createdAt', 'desc');
-        break;
-      case 'discussed':
-        query = query.orderBy('comments', 'desc').orderBy('createdAt', 'desc');
-        break;
-      default: // 'new'
-        query = query.orderBy('createdAt', 'desc');
-    }
+  return profiles;
+};
 
-    // Pagination
-    query = query.offset(offset).limit(limitNum + 1); // +1 to check if there are more
+const ANONYMOUS_ANIMALS = [
+  'Owl', 'Fox', 'Otter', 'Heron', 'Panda', 'Koala', 'Dolphin', 'Robin', 'Swan', 'Deer', 'Lynx', 'Sparrow',
+  'Hare', 'Seal', 'Finch', 'Wren', 'Lark', 'Dove', 'Crane', 'Ibis', 'Puffin', 'Badger', 'Beaver', 'Falcon',
+  'Hedgehog', 'Jaguar', 'Lemur', 'Marten', 'Orca', 'Pelican', 'Quail', 'Raven', 'Tiger', 'Turtle', 'Walrus',
+  'Zebra', 'Bunny', 'Kitten', 'Lamb', 'Meerkat', 'Narwhal', 'Ocelot', 'Penguin', 'Salmon', 'Toucan', 'Whale'
+];
 
-    const snapshot = await query.get();
-    const posts = [];
-    const hasMore = snapshot.docs.length > limitNum;
+// Stable per-thread pseudonym: the same author gets the same name within one post (including its
+// comments) but an unrelated one elsewhere, and the uid can't be recovered from it
+const anonymousIdentity = (authorId, threadId) => {
+  const digest = crypto.createHmac('sha256', ANONYMOUS_ID_SECRET).update(`${threadId}:${authorId}`).digest('hex');
+  const animal = ANONYMOUS_ANIMALS[parseInt(digest.slice(0, 8), 16) % ANONYMOUS_ANIMALS.length];
+  return { anonymousId: digest.slice(0, 16), name: `Anonymous ${animal}` };
+};
 
-    // Process posts (take only the requested limit)
-    const docsToProcess = hasMore ? snapshot.docs.slice(0, limitNum) : snapshot.docs;
-    
-    for (const doc of docsToProcess) {
-      const post = { id: doc.id, ...doc.data() };
-      
-      // Get author info
-      if (post.authorId) {
-        try {
-          const authorDoc = await db.collection('users').doc(post.authorId).get();
-          if (authorDoc.exists) {
-            const authorData = authorDoc.data();
-            post.author = {
-              id: post.authorId,
-              name: post.isAnonymous ? 'Anonymous' : (authorData.name || 'User'),
-              avatarUrl: post.isAnonymous ? null : (authorData.avatarUrl || null),
-              verified: post.isAnonymous ? false : (authorData.verified || false)
-            };
-          }
-        } catch (e) {
-          console.error('Error fetching author:', e);
-        }
-      }
+// Public author shape; anonymous content gets a thread pseudonym and never exposes the real uid
+const shapeAuthor = (authorId, profile, isAnonymous, threadId) => {
+  if (isAnonymous) {
+    const { anonymousId, name } = anonymousIdentity(authorId, threadId);
+    return { id: null, anonymousId, name, avatarUrl: null, verified: false };
+  }
+  return {
+    id: authorId,
+    name: profile.name || 'User',
+    avatarUrl: profile.avatarUrl || null,
+    verified: profile.verified || false
+  };
+};
 
-      // Convert Firestore timestamps
-      if (post.createdAt && post.createdAt.toDate) {
-        post.createdAt = post.createdAt.toDate().toISOString();
-      }
-      if (post.updatedAt && post.updatedAt.toDate) {
-        post.updatedAt = post.updatedAt.toDate().toISOString();
-      }
+// Fields stored on posts/comments that never go out in API responses
+const INTERNAL_FIELDS = ['authorId', 'searchTokens', 'countedInPost', 'countedTags', 'signedInViews'];
 
-      // Remove internal fields
-      delete post.authorId;
-      
-      posts.push(post);
-    }
+const stripInternalFields = (item) => {
+  for (const field of INTERNAL_FIELDS) {
+    delete item[field];
+  }
+  return item;
+};
 
-    res.json({
-      success: true,
-      data: {
-        posts,
-        pagination: {
-          currentPage: pageNum,
-          hasMore,
-          totalShown: posts.length
-        }
-      }
-    });
+// Attach `author` to posts/comments from one batched profile lookup, then strip internal fields
+// Comments carry `postId`, so they share their post's pseudonym thread; `isOwn` flags the viewer's items
+// Deleted placeholders (`deleted`, see formatComment) get no author
+const attachAuthors = async (items, viewerId = null) => {
+  const isRemoved = item => Boolean(item.deleted || item.deletedAt);
+  let profiles = new Map();
+  try {
+    profiles = await getUserProfiles(items
+      .filter(item => !isRemoved(item) && !item.isAnonymous)
+      .map(item => item.authorId));
+  } catch (e) {
+    console.error('Error fetching authors:', e);
+  }
 
-  } catch (error) {
-    console.error('Error fetching posts:', error);
-    
-    // Handle empty collection gracefully and index errors
-    if (error.code === 5 || error.message.includes('NOT_FOUND')) {
-      const pageNum = parseInt(req.query.page || '1', 10);
-      return res.json({
-        success: true,
-        data: {
-          posts: [],
-          pagination: {
-            currentPage: pageNum,
-            hasMore: false,
-            totalShown: 0
-          }
-        }
-      });
+  for (const item of items) {
+    const profile = profiles.get(item.authorId);
+    if (!isRemoved(item) && item.authorId && (profile || item.isAnonymous)) {
+      item.author = shapeAuthor(item.authorId, profile || {}, item.isAnonymous, item.postId || item.id);
     }
-    
-    // Handle missing Firestore indexes
-    if (error.code === 9 || error.message.includes('FAILED_PRECONDITION')) {
-      const pageNum = parseInt(req.query.page || '1', 10);
-      return res.json({
-        success: true,
-        data: {
-          posts: [],
-          pagination: {
-            currentPage: pageNum,
-            hasMore: false,
-            totalShown: 0
-          }
-        },
-        warning: 'Database indexes need to be created. See IMPLEMENTATION_REPORT.md for details.'
-      });
+    item.isOwn = Boolean(viewerId) && item.authorId === viewerId;
+    stripInternalFields(item);
+  }
+  return items;
+};
+
+// Convert top-level Firestore timestamps to ISO strings
+const serializeTimestamps = (item) => {
+  for (const [key, value] of Object.entries(item)) {
+    if (value && value.toDate) {
+      item[key] = value.toDate().toISOString();
+    } else if (value instanceof Date) {
+      item[key] = value.toISOString();
     }
-    
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch posts',
-      message: error.message
-    });
   }
-});
+  return item;
+};
 
-// POST /v1/posts - Create new post
-app.post('/v1/posts', authenticateUser, async (req, res) => {
-  try {
-    // Normalize
-    req.body.category = String(req.body.category || '').toLowerCase().trim();
-    // Defaults
-    if (!Array.isArray(req.body.tags)) req.body.tags = [];
-    if (!Array.isArray(req.body.images)) req.body.images = [];
+// Search index helpers
+// Posts and comments store normalized `searchTokens` so search runs on plain Firestore queries
+const SEARCH_STOPWORDS = new Set([
+  'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have', 'in', 'is', 'it',
+  'its', 'me', 'my', 'of', 'on', 'or', 'so', 'that', 'the', 'this', 'to', 'was', 'we', 'with', 'you'
+]);
+const MAX_SEARCH_TOKENS = 500;
 
-    const {
-      content,
-      category = 'general',
-      images = [],
-      tags = [],
-      isAnonymous = false
-    } = req.body;
+// Lowercase, strip accents, split on non-alphanumerics, drop stopwords and duplicates
+const tokenize = (text) => {
+  const words = String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length >= 2 && !SEARCH_STOPWORDS.has(word));
+  return [...new Set(words)];
+};
 
-    // Validation
-    if (!content || content.trim().length === 0) {
-      return res.status(400).json({
-        error: 'Validation failed',
-        message: 'Content is required'
-      });
-    }
+const buildSearchTokens = (content, tags = []) => (
+  [...new Set([...tokenize(content), ...tokenize(tags.join(' '))])].slice(0, MAX_SEARCH_TOKENS)
+);
 
-    if (!CATEGORIES.includes(category)) {
-      console.warn('[createPost] invalid category:', req.body.category);
-      return res.status(400).json({
-        error: 'Validation failed',
-        message: `Invalid category. Must be one of: ${CATEGORIES.join(', ')}`
-      });
-    }
+// Tag helpers
+const MAX_TAG_LENGTH = 50;
 
-    if (content.length > 5000) {
-      return res.status(400).json({
-        error: 'Validation failed',
-        message: 'Content too long. Maximum 5000 characters.'
-      });
-    }
+// Lowercase, drop leading '#', join words with '-', keep letters/numbers/-/_ and de-duplicate
+const normalizeTags = (tags) => {
+  const normalized = (Array.isArray(tags) ? tags : [])
+    .filter(tag => typeof tag === 'string')
+    .map(tag => tag
+      .toLowerCase()
+      .trim()
+      .replace(/^#+/, '')
+      .replace(/\s+/g, '-')
+      .replace(/[^\p{L}\p{N}_-]/gu, '')
+      .slice(0, MAX_TAG_LENGTH))
+    .filter(Boolean);
+  return [...new Set(normalized)];
+};
 
-    const now = new Date();
-    const postData = {
-      content: content.trim(),
-      category,
-      images: Array.isArray(images) ? images.slice(0, 10) : [], // Max 10 images
-      tags: Array.isArray(tags) ? tags.slice(0, 20) : [], // Max 20 tags
-      isAnonymous: Boolean(isAnonymous),
-      authorId: req.user.uid,
-      createdAt: now,
-      updatedAt: now,
-      moderationStatus: 'approved', // For now, as requested
-      likes: 0,
-      comments: 0,
-      views: 0
-    };
+const getBlockedTags = async () => {
+  if (blockedTagsCache.tags && blockedTagsCache.expiresAt > Date.now()) {
+    return blockedTagsCache.tags;
+  }
+  const snapshot = await db.collection('blockedTags').get();
+  const tags = new Set(snapshot.docs.map(doc => doc.id));
+  blockedTagsCache = { tags, expiresAt: Date.now() + TAG_CACHE_TTL };
+  return tags;
+};
 
-    // Create post
-    const postRef = await db.collection('posts').add(postData);
-    const createdPost = {
-      id: postRef.id,
-      ...postData,
-      createdAt: postData.createdAt.toISOString(),
-      updatedAt: postData.updatedAt.toISOString(),
-      author: {
-        id: req.user.uid,
-        name: isAnonymous ? 'Anonymous' : req.user.name,
-        avatarUrl: isAnonymous ? null : req.user.avatarUrl,
-        verified: isAnonymous ? false : req.user.verified
-      }
-    };
+const filterBlockedTags = async (tags) => {
+  const blocked = await getBlockedTags();
+  return tags.filter(tag => !blocked.has(tag));
+};
 
-    // Remove internal authorId
-    delete createdPost.authorId;
+// Usage buckets: hourly docs serve the 24h window, daily docs serve 7d/30d
+const tagUsageBucketIds = (date) => {
+  const iso = date.toISOString();
+  return { hour: iso.slice(0, 13), day: iso.slice(0, 10) }; // YYYY-MM-DDTHH, YYYY-MM-DD
+};
 
-    res.status(201).json({
-      success: true,
-      data: {
-        post: createdPost
-      }
-    });
+// Count tag usage in the current buckets (failures are logged, never block the write)
+const recordTagUsage = async (tags, now = new Date()) => {
+  if (tags.length === 0) return;
+  try {
+    const { hour, day } = tagUsageBucketIds(now);
+    const counts = {};
+    for (const tag of tags) {
+      counts[tag] = admin.firestore.FieldValue.increment(1);
+    }
 
+    const batch = db.batch();
+    batch.set(db.collection('tagUsageHourly').doc(hour), { bucket: hour, counts }, { merge: true });
+    batch.set(db.collection('tagUsageDaily').doc(day), { bucket: day, counts }, { merge: true });
+    await batch.commit();
   } catch (error) {
-    console.error('Error creating post:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to create post',
-      message: error.message
+    console.error('Failed to record tag usage:', error);
+  }
+};
+
+// Tags only trend while their post is visible, so a post keeps the tags it has already counted in
+// `countedTags` and a held post counts its tags once approved. Posts from before the field existed
+// counted all their tags when they were created.
+const tagsToCount = (post, tags = post.tags || []) => {
+  const counted = post.countedTags || post.tags || [];
+  const added = tags.filter(tag => !counted.includes(tag));
+  return { added, countedTags: [...counted, ...added] };
+};
+
+// Hot ranking helpers
+// Log-scaled engagement plus a creation-time term: each 10x engagement is worth HOT_SCORE_DECAY_SECONDS
+// of recency, so older posts sink without the stored score ever needing a periodic recompute
+const HOT_SCORE_EPOCH = Date.UTC(2025, 0, 1) / 1000;
+const HOT_SCORE_DECAY_SECONDS = 45000; // 12.5 hours
+
+// Only signed-in views count, since signed-out views are cheap to inflate; posts from before signed-out
+// views were counted have only `views`, all of them signed in
+const computeHotScore = ({ likes = 0, comments = 0, views = 0, signedInViews = views, createdAt }) => {
+  const created = createdAt && createdAt.toDate ? createdAt.toDate() : new Date(createdAt || Date.now());
+  const engagement = likes + 2 * comments + signedInViews / 10;
+  const order = Math.log10(Math.max(engagement, 1));
+  return order + (created.getTime() / 1000 - HOT_SCORE_EPOCH) / HOT_SCORE_DECAY_SECONDS;
+};
+
+// Viewer state helpers
+// Set `isBookmarked` on posts for the signed-in caller with one batched read
+const attachBookmarkState = async (posts, userId) => {
+  if (!userId || posts.length === 0) {
+    posts.forEach((post) => { post.isBookmarked = false; });
+    return posts;
+  }
+
+  const bookmarksRef = db.collection('users').doc(userId).collection('bookmarks');
+  const docs = await db.getAll(...posts.map(post => bookmarksRef.doc(post.id)));
+  posts.forEach((post, i) => { post.isBookmarked = docs[i].exists; });
+  return posts;
+};
+
+// Storage adapter helpers
+// Every backend exposes save/read/remove by key. STORAGE_BACKEND=local (default) writes under UPLOADS_DIR
+// for development; STORAGE_BACKEND=firebase uses Cloud Storage, or the emulator when
+// FIREBASE_STORAGE_EMULATOR_HOST is set.
+const createStorageAdapter = (backend = process.env.STORAGE_BACKEND || 'local') => {
+  if (backend === 'firebase') {
+    const bucket = () => admin.storage().bucket(process.env.FIREBASE_STORAGE_BUCKET || `${serviceAccount.project_id}.appspot.com`);
+    return {
+      backend,
+      save: (key, buffer, contentType) => bucket().file(key).save(buffer, { contentType, resumable: false }),
+      read: async (key) => {
+        try {
+          const [buffer] = await bucket().file(key).download();
+          return buffer;
+        } catch (error) {
+          if (error.code === 404) return null;
+          throw error;
+        }
+      },
+      remove: (key) => bucket().file(key).delete({ ignoreNotFound: true })
+    };
+  }
+
+  if (backend === 'local') {
+    const root = path.resolve(__dirname, process.env.UPLOADS_DIR || 'uploads');
+    const resolveKey = (key) => {
+      const file = path.resolve(root, key);
+      if (!file.startsWith(root + path.sep)) {
+        throw new Error('Invalid storage key');
+      }
+      return file;
+    };
+    return {
+      backend,
+      save: async (key, buffer) => {
+        const file = resolveKey(key);
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, buffer);
+      },
+      read: async (key) => {
+        try {
+          return await fs.readFile(resolveKey(key));
+        } catch (error) {
+          if (error.code === 'ENOENT') return null;
+          throw error;
+        }
+      },
+      remove: (key) => fs.rm(resolveKey(key), { force: true })
+    };
+  }
+
+  throw new Error(`Unknown STORAGE_BACKEND "${backend}"`);
+};
+
+const storage = createStorageAdapter();
+
+// Image asset helpers
+// Re-encode an upload: EXIF orientation is applied, then all metadata (EXIF incl. GPS location, XMP, ICC)
+// is dropped, which is sharp's default when withMetadata() isn't used
+const processImageUpload = async (buffer) => {
+  const decodeOptions = { limitInputPixels: MAX_IMAGE_INPUT_PIXELS };
+  let metadata = {};
+  try {
+    metadata = await sharp(buffer, { limitInputPixels: false }).metadata(); // header only, nothing decoded
+  } catch (error) {
+    metadata = {};
+  }
+  const { format, width = 0, height = 0 } = metadata;
+  if (!IMAGE_FORMATS[format]) {
+    throw new Error('Unsupported image type');
+  }
+  // Checked from the header so oversized images are refused without decoding them
+  if (width * height > MAX_IMAGE_INPUT_PIXELS) {
+    throw new Error('Image dimensions too large');
+  }
+
+  const original = await sharp(buffer, decodeOptions)
+    .rotate()
+    .resize({ width: MAX_IMAGE_DIMENSION, height: MAX_IMAGE_DIMENSION, fit: 'inside', withoutEnlargement: true })
+    .toFormat(format)
+    .toBuffer({ resolveWithObject: true });
+  const thumbnail = await sharp(original.data)
+    .resize({ width: THUMBNAIL_DIMENSION, height: THUMBNAIL_DIMENSION, fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 80 })
+    .toBuffer({ resolveWithObject: true });
+
+  return {
+    original: { buffer: original.data, contentType: IMAGE_FORMATS[format], extension: format === 'jpeg' ? 'jpg' : format, width: original.info.width, height: original.info.height },
+    thumbnail: { buffer: thumbnail.data, contentType: 'image/webp', extension: 'webp', width: thumbnail.info.width, height: thumbnail.info.height }
+  };
+};
+
+// Public shape of an image asset; URLs go through GET /v1/assets so every storage backend serves the same way
+const shapeImageAsset = (id, asset) => ({
+  id,
+  url: `${ASSET_BASE_URL}/v1/assets/${id}/original`,
+  thumbnailUrl: `${ASSET_BASE_URL}/v1/assets/${id}/thumbnail`,
+  width: asset.variants.original.width,
+  height: asset.variants.original.height,
+  contentType: asset.variants.original.contentType
+});
+
+// Check that post images are the owner's uploaded assets; `allowed` keeps entries already on the post
+// (including image URLs from before uploads) valid through edits. Returns an error message or null.
+const checkImageAssets = async (images, ownerId, allowed = []) => {
+  const added = images.filter(image => !allowed.includes(image));
+  if (added.length === 0) return null;
+  if (!added.every(image => ASSET_ID_PATTERN.test(image))) {
+    return 'images must be asset ids from POST /v1/uploads/images';
+  }
+
+  const assetDocs = await db.getAll(...added.map(id => db.collection('assets').doc(id)));
+  if (assetDocs.some(doc => !doc.exists || doc.data().ownerId !== ownerId)) {
+    return 'Unknown image asset';
+  }
+  return null;
+};
+
+// Set `media` (asset URLs and sizes) on posts from their `images`; legacy URL entries pass through
+const attachImageAssets = async (posts) => {
+  const ids = [...new Set(posts.flatMap(post => post.images || []).filter(image => ASSET_ID_PATTERN.test(image)))];
+  const assetDocs = ids.length > 0 ? await db.getAll(...ids.map(id => db.collection('assets').doc(id))) : [];
+  const assets = new Map(assetDocs.filter(doc => doc.exists).map(doc => [doc.id, shapeImageAsset(doc.id, doc.data())]));
+
+  posts.forEach((post) => {
+    post.media = (post.images || [])
+      .map((image) => {
+        if (assets.has(image)) return assets.get(image);
+        if (/^https?:\/\//.test(image)) return { id: null, url: image, thumbnailUrl: image, width: null, height: null, contentType: null };
+        return null;
+      })
+      .filter(Boolean);
+  });
+  return posts;
+};
+
+// Post analytics helpers
+// Each post keeps one `dailyStats/{YYYY-MM-DD}` doc per UTC day; likes and comments are that day's net change.
+// Raw `postViews` docs (one per viewer per day) only count unique viewers and are purged by runViewRetention.
+// View counts are buffered in memory and written per post every 30 seconds (flushPostViews), so busy posts
+// don't get a write per page load; buffered views are lost if the process stops before a flush.
+const VIEW_DEDUP_WINDOW_MS = 10 * 60 * 1000; // repeat views from one viewer count once per 10 minutes
+const VIEW_FLUSH_INTERVAL_MS = 30 * 1000;
+const POST_VIEW_RETENTION_DAYS = Math.max(1, Number(process.env.POST_VIEW_RETENTION_DAYS) || 7);
+const VIEW_RETENTION_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const VIEW_RETENTION_BATCH_SIZE = 250; // deletes plus compacted stats writes stay under the 500-write batch limit
+const DEFAULT_STATS_RANGE_DAYS = 30;
+const MAX_STATS_RANGE_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const statsDay = (date) => date.toISOString().slice(0, 10);
+
+// Add counters to a post's stats for `day`; works with transactions and batches
+const recordPostStats = (writer, postId, increments, day = statsDay(new Date())) => {
+  const fields = {};
+  for (const [field, amount] of Object.entries(increments)) {
+    if (amount) fields[field] = admin.firestore.FieldValue.increment(amount);
+  }
+  if (Object.keys(fields).length === 0) return;
+
+  writer.set(
+    db.collection('posts').doc(postId).collection('dailyStats').doc(day),
+    { date: day, ...fields },
+    { merge: true }
+  );
+};
+
+// Viewer identity for view dedup: the uid when signed in, otherwise a keyed hash of the IP address
+// (headers are client-controlled, so they're left out) so raw addresses are never stored
+const viewerKey = (req) => {
+  if (req.user?.uid) return req.user.uid;
+  const digest = crypto.createHmac('sha256', ANONYMOUS_ID_SECRET).update(String(req.ip)).digest('hex');
+  return `guest_${digest.slice(0, 24)}`;
+};
+
+const recentPostViewers = new Map(); // `${postId}:${viewer}` -> time of the last counted view
+const pendingPostViews = new Map(); // `${postId}_${day}` -> { postId, day, views, signedInViews, uniqueViewers }
+
+// Count a view unless this viewer was counted in the last 10 minutes
+const recordPostView = async (postId, viewer, signedIn, now = new Date()) => {
+  const recentKey = `${postId}:${viewer}`;
+  if (now - (recentPostViewers.get(recentKey) || 0) < VIEW_DEDUP_WINDOW_MS) return;
+  recentPostViewers.set(recentKey, now.getTime());
+
+  // The first view of the day creates the viewer's doc; later ones fail with ALREADY_EXISTS (code 6)
+  const day = statsDay(now);
+  let unique = true;
+  try {
+    await db.collection('posts').doc(postId).collection('postViews').doc(`${viewer}_${day}`)
+      .create({ viewer, day, viewedAt: now });
+  } catch (error) {
+    if (error.code !== 6) throw error;
+    unique = false;
+  }
+
+  const pendingKey = `${postId}_${day}`;
+  const pending = pendingPostViews.get(pendingKey) || { postId, day, views: 0, signedInViews: 0, uniqueViewers: 0 };
+  pending.views += 1;
+  pending.signedInViews += signedIn ? 1 : 0;
+  pending.uniqueViewers += unique ? 1 : 0;
+  pendingPostViews.set(pendingKey, pending);
+};
+
+// Write buffered views: one transaction per post updates its counters, hotScore and daily stats
+const flushPostViews = async (now = new Date()) => {
+  for (const [key, viewedAt] of recentPostViewers) {
+    if (now - viewedAt >= VIEW_DEDUP_WINDOW_MS) recentPostViewers.delete(key);
+  }
+
+  const pending = [...pendingPostViews.values()];
+  pendingPostViews.clear();
+  for (const entry of pending) {
+    try {
+      await db.runTransaction(async (transaction) => {
+        const postRef = db.collection('posts').doc(entry.postId);
+        const postDoc = await transaction.get(postRef);
+        if (!postDoc.exists) return;
+
+        const post = postDoc.data();
+        const signedInViews = (post.signedInViews ?? post.views ?? 0) + entry.signedInViews;
+        transaction.update(postRef, {
+          views: admin.firestore.FieldValue.increment(entry.views),
+          signedInViews,
+          hotScore: computeHotScore({ ...post, signedInViews })
+        });
+        recordPostStats(transaction, entry.postId, { views: entry.views, uniqueViewers: entry.uniqueViewers }, entry.day);
+      });
+    } catch (error) {
+      console.error('Failed to write post views:', error);
+    }
+  }
+};
+
+// Delete raw view docs older than the retention window. Per-day docs are already counted in dailyStats;
+// legacy 10-minute bucket docs (no `day`) are compacted into dailyStats for their day first.
+let viewRetentionRunning = false;
+const runViewRetention = async (now = new Date()) => {
+  if (viewRetentionRunning) return null;
+  viewRetentionRunning = true;
+
+  try {
+    const cutoff = new Date(Date.parse(statsDay(now)) - POST_VIEW_RETENTION_DAYS * DAY_MS);
+    const result = { cutoff: cutoff.toISOString(), deleted: 0, compacted: 0 };
+    const legacyViewers = new Map(); // `${postId}_${day}` -> users already counted as unique viewers
+
+    for (;;) {
+      const snapshot = await db.collectionGroup('postViews')
+        .where('viewedAt', '<', cutoff)
+        .limit(VIEW_RETENTION_BATCH_SIZE)
+        .get();
+      if (snapshot.empty) break;
+
+      const batch = db.batch();
+      const legacyCounts = new Map();
+      snapshot.docs.forEach((doc) => {
+        const view = doc.data();
+        batch.delete(doc.ref);
+        result.deleted += 1;
+        if (view.day) return;
+
+        const postId = doc.ref.parent.parent.id;
+        const day = statsDay(view.viewedAt.toDate());
+        const key = `${postId}_${day}`;
+        const seen = legacyViewers.get(key) || new Set();
+        const counts = legacyCounts.get(key) || { postId, day, views: 0, uniqueViewers: 0 };
+        counts.views += 1;
+        if (!seen.has(view.userId)) {
+          seen.add(view.userId);
+          counts.uniqueViewers += 1;
+        }
+        legacyViewers.set(key, seen);
+        legacyCounts.set(key, counts);
+        result.compacted += 1;
+      });
+      legacyCounts.forEach(({ postId, day, views, uniqueViewers }) => {
+        recordPostStats(batch, postId, { views, uniqueViewers }, day);
+      });
+      await batch.commit();
+    }
+
+    return result;
+  } finally {
+    viewRetentionRunning = false;
+  }
+};
+
+// Reaction helpers
+// Reactions live in each item's `likes` subcollection (one doc per user, legacy docs have no type = 'like')
+// `likes` on the item stays the total across all types for older clients and hot ranking
+const REACTION_TYPES = ['like', 'support', 'hug', 'relate', 'helpful'];
+
+const emptyReactionCounts = () => Object.fromEntries(REACTION_TYPES.map(type => [type, 0]));
+
+// Per-type counts for an item; items from before reactions only have likes
+const reactionCountsOf = (item) => ({
+  ...emptyReactionCounts(),
+  ...(item.reactionCounts || { like: item.likes || 0 })
+});
+
+// Posts and comments are told apart by postId, as in attachAuthors
+const reactionItemRef = (item) => (item.postId
+  ? db.collection('posts').doc(item.postId).collection('comments').doc(item.id)
+  : db.collection('posts').doc(item.id));
+
+// Set `reactionCounts`, the caller's `myReaction` and legacy `isLiked` with one batched read
+const attachReactionState = async (items, userId) => {
+  items.forEach((item) => {
+    item.reactionCounts = reactionCountsOf(item);
+    item.myReaction = null;
+    item.isLiked = false;
+  });
+  if (!userId || items.length === 0) {
+    return items;
+  }
+
+  const docs = await db.getAll(...items.map(item => reactionItemRef(item).collection('likes').doc(userId)));
+  items.forEach((item, i) => {
+    if (docs[i].exists) {
+      item.myReaction = docs[i].data().type || 'like';
+      item.isLiked = true;
+    }
+  });
+  return items;
+};
+
+// Set, change or remove the caller's reaction in one transaction
+// `type` null removes it; `toggleLike` keeps the legacy like endpoints' toggle behaviour
+const setReaction = async ({ itemRef, userId, type = null, toggleLike = false, notFoundMessage, isPost }) => {
+  return db.runTransaction(async (transaction) => {
+    const reactionRef = itemRef.collection('likes').doc(userId);
+    const [itemDoc, reactionDoc] = await transaction.getAll(itemRef, reactionRef);
+
+    if (!itemDoc.exists || itemDoc.data().deletedAt) {
+      throw new Error(notFoundMessage);
+    }
+    const item = itemDoc.data();
+
+    // Blocked users can't react to the blocker's posts and comments; anonymous content reads as missing
+    // so the block doesn't reveal who wrote it
+    if (item.authorId && item.authorId !== userId) {
+      const blockDoc = await transaction.get(
+        db.collection('users').doc(item.authorId).collection('blocks').doc(userId)
+      );
+      if (blockDoc.exists) {
+        throw new Error(item.isAnonymous ? notFoundMessage : BLOCKED_INTERACTION_MESSAGE);
+      }
+    }
+
+    const previous = reactionDoc.exists ? reactionDoc.data().type || 'like' : null;
+    const next = toggleLike ? (previous ? null : 'like') : type;
+    const reactionCounts = reactionCountsOf(item);
+    if (previous) reactionCounts[previous] = Math.max(0, reactionCounts[previous] - 1);
+    if (next) reactionCounts[next] += 1;
+    const likes = Object.values(reactionCounts).reduce((sum, count) => sum + count, 0);
+
+    if (previous !== next) {
+      const now = new Date();
+      if (next) {
+        transaction.set(reactionRef, {
+          userId,
+          type: next,
+          createdAt: previous ? reactionDoc.data().createdAt : now,
+          updatedAt: now
+        });
+      } else {
+        transaction.delete(reactionRef);
+      }
+      transaction.update(itemRef, {
+        likes,
+        reactionCounts,
+        ...(isPost ? { hotScore: computeHotScore({ ...item, likes }), updatedAt: now } : {})
+      });
+      if (isPost) {
+        recordPostStats(transaction, itemRef.id, { likes: (next ? 1 : 0) - (previous ? 1 : 0) }, statsDay(now));
+      }
+    }
+
+    return {
+      authorId: item.authorId,
+      added: Boolean(next) && !previous,
+      result: { liked: Boolean(next), likes, reaction: next, reactionCounts }
+    };
+  });
+};
+
+// Poll helpers
+// Polls are stored on the post; votes live in its `pollVotes` subcollection, one doc per voter
+const MIN_POLL_OPTIONS = 2;
+const MAX_POLL_OPTIONS = 6;
+const MAX_POLL_OPTION_LENGTH = 100;
+const MAX_POLL_DURATION_MS = 90 * 24 * 60 * 60 * 1000; // 90 days
+
+// Validate the optional `poll` on a new post; returns { error }, { value: null } when absent, or { value }
+const validatePollInput = (poll, now = new Date()) => {
+  if (poll === undefined || poll === null) {
+    return { value: null };
+  }
+
+  const { options, endsAt = null, multipleChoice = false } = poll;
+  if (!Array.isArray(options) || options.length < MIN_POLL_OPTIONS || options.length > MAX_POLL_OPTIONS) {
+    return { error: `A poll needs ${MIN_POLL_OPTIONS} to ${MAX_POLL_OPTIONS} options` };
+  }
+
+  const texts = options.map(option => (typeof option === 'string' ? option.trim() : ''));
+  if (texts.some(text => text.length === 0 || text.length > MAX_POLL_OPTION_LENGTH)) {
+    return { error: `Poll options must be 1-${MAX_POLL_OPTION_LENGTH} characters` };
+  }
+  if (new Set(texts.map(text => text.toLowerCase())).size !== texts.length) {
+    return { error: 'Poll options must be unique' };
+  }
+
+  if (typeof multipleChoice !== 'boolean') {
+    return { error: 'poll.multipleChoice must be a boolean' };
+  }
+
+  let endDate = null;
+  if (endsAt !== null) {
+    endDate = new Date(endsAt);
+    if (isNaN(endDate.getTime()) || endDate <= now || endDate - now > MAX_POLL_DURATION_MS) {
+      return { error: 'poll.endsAt must be a future date within 90 days' };
+    }
+  }
+
+  return {
+    value: {
+      options: texts.map((text, id) => ({ id, text, votes: 0 })),
+      multipleChoice,
+      endsAt: endDate,
+      totalVoters: 0
+    }
+  };
+};
+
+const isPollClosed = (poll, now = new Date()) => {
+  const endsAt = poll.endsAt && poll.endsAt.toDate ? poll.endsAt.toDate() : poll.endsAt;
+  return Boolean(endsAt) && endsAt <= now;
+};
+
+// Vote doc id: the uid, or the per-post pseudonym on anonymous posts so votes aren't stored against uids
+const pollVoteRef = (postId, isAnonymous, userId) => db.collection('posts').doc(postId)
+  .collection('pollVotes').doc(isAnonymous ? anonymousIdentity(userId, postId).anonymousId : userId);
+
+// Shape a stored poll for API responses
+const shapePoll = (poll, myVote = null) => {
+  const endsAt = poll.endsAt && poll.endsAt.toDate ? poll.endsAt.toDate() : poll.endsAt;
+  const totalVotes = poll.options.reduce((sum, option) => sum + option.votes, 0);
+  return {
+    options: poll.options.map(option => ({
+      ...option,
+      percentage: totalVotes > 0 ? Math.round((option.votes / totalVotes) * 100) : 0
+    })),
+    multipleChoice: poll.multipleChoice,
+    endsAt: endsAt ? endsAt.toISOString() : null,
+    closed: isPollClosed(poll),
+    totalVoters: poll.totalVoters,
+    myVote
+  };
+};
+
+// Replace stored polls with tallies plus the caller's vote (option ids) using one batched read
+const attachPollState = async (posts, userId) => {
+  const withPolls = posts.filter(post => post.poll);
+  const votes = userId && withPolls.length > 0
+    ? await db.getAll(...withPolls.map(post => pollVoteRef(post.id, post.isAnonymous, userId)))
+    : [];
+  withPolls.forEach((post, i) => {
+    post.poll = shapePoll(post.poll, votes[i] && votes[i].exists ? votes[i].data().optionIds : null);
+  });
+  return posts;
+};
+
+// Block and mute helpers
+const BLOCKED_INTERACTION_MESSAGE = 'You cannot interact with this user\'s content';
+
+// True when `ownerId` has blocked `userId`
+const isBlockedBy = async (ownerId, userId) => {
+  if (!ownerId || !userId || ownerId === userId) return false;
+  const blockDoc = await db.collection('users').doc(ownerId).collection('blocks').doc(userId).get();
+  return blockDoc.exists;
+};
+
+// Block `targetId` for `userId` and remove follow links in both directions
+const blockUser = (userId, targetId) => db.runTransaction(async (transaction) => {
+  const userRef = db.collection('users').doc(userId);
+  const targetRef = db.collection('users').doc(targetId);
+  const blockRef = userRef.collection('blocks').doc(targetId);
+  const userFollowsRef = userRef.collection('following').doc(targetId);
+  const targetFollowsRef = targetRef.collection('following').doc(userId);
+  const [userDoc, targetDoc, userFollowsDoc, targetFollowsDoc] = await transaction.getAll(
+    userRef, targetRef, userFollowsRef, targetFollowsRef
+  );
+
+  transaction.set(blockRef, { userId: targetId, createdAt: new Date() });
+
+  const userUpdate = {};
+  const targetUpdate = {};
+  if (userFollowsDoc.exists) {
+    transaction.delete(userFollowsRef);
+    transaction.delete(targetRef.collection('followers').doc(userId));
+    userUpdate.followingCount = admin.firestore.FieldValue.increment(-1);
+    targetUpdate.followersCount = Math.max(0, ((targetDoc.exists && targetDoc.data().followersCount) || 0) - 1);
+  }
+  if (targetFollowsDoc.exists) {
+    transaction.delete(targetFollowsRef);
+    transaction.delete(userRef.collection('followers').doc(targetId));
+    targetUpdate.followingCount = admin.firestore.FieldValue.increment(-1);
+    userUpdate.followersCount = Math.max(0, ((userDoc.exists && userDoc.data().followersCount) || 0) - 1);
+  }
+  if (Object.keys(userUpdate).length > 0) transaction.set(userRef, userUpdate, { merge: true });
+  if (Object.keys(targetUpdate).length > 0) transaction.set(targetRef, targetUpdate, { merge: true });
+});
+
+// Predicate for posts and comments filtered from the viewer's lists: everything by authors they blocked
+// or muted, plus anonymous content under a pseudonym they blocked. Pseudonym blocks are keyed by the
+// thread's anonymousId, so they only cover that author's anonymous content in that thread.
+const getHiddenContentFilter = async (viewerId) => {
+  if (!viewerId) return () => false;
+  const userRef = db.collection('users').doc(viewerId);
+  const [blocks, mutes, anonymousBlocks] = await Promise.all([
+    userRef.collection('blocks').get(),
+    userRef.collection('mutes').get(),
+    userRef.collection('anonymousBlocks').get()
+  ]);
+  const authorIds = new Set([...blocks.docs, ...mutes.docs].map(doc => doc.id));
+  const anonymousIds = new Set(anonymousBlocks.docs.map(doc => doc.id));
+  return (item, threadId) => authorIds.has(item.authorId) ||
+    (Boolean(item.isAnonymous) && anonymousIds.size > 0 &&
+      anonymousIds.has(anonymousIdentity(item.authorId, threadId).anonymousId));
+};
+
+// Auto-moderation helpers
+// Rules live in moderationConfig/autoModeration; missing fields fall back to these defaults
+const DEFAULT_MODERATION_RULES = {
+  enabled: true,
+  rejectKeywords: [], // whole-word matches reject the content
+  holdKeywords: [], // whole-word matches hold the content for review
+  rejectPatterns: [], // case-insensitive regular expressions
+  holdPatterns: [],
+  maxLinks: 3, // more links than this holds the content (null disables)
+  newAccountHours: 24, // accounts younger than this are "new" (0 disables)
+  newAccountMaxLinks: 0, // new accounts posting more links than this are held
+  holdNewAccounts: false, // hold everything from new accounts
+  autoHideReportThreshold: 3 // distinct reporters that hide content pending review (0 disables)
+};
+const MODERATION_RULE_LISTS = ['rejectKeywords', 'holdKeywords', 'rejectPatterns', 'holdPatterns'];
+const MAX_MODERATION_RULE_ENTRIES = 200;
+const MAX_MODERATION_RULE_LENGTH = 200;
+
+// Keywords match whole words/phrases, ignoring case
+const keywordRegex = (keyword) => {
+  const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'iu');
+};
+
+// Patterns run on every post and comment on the single-threaded server, so any that could backtrack
+// catastrophically (nested quantifiers and the like) are refused; returns an error message or null
+const checkModerationPattern = (pattern) => {
+  try {
+    new RegExp(pattern, 'iu');
+  } catch (error) {
+    return `Invalid pattern "${pattern}": ${error.message}`;
+  }
+  if (!safeRegex(pattern)) {
+    return `Pattern "${pattern}" could backtrack catastrophically; simplify it (avoid nested quantifiers)`;
+  }
+  return null;
+};
+
+// Compile keywords and patterns once per rules load: { reject, hold } lists of { label, regex }
+const compileModerationRules = (rules) => {
+  const compile = (keywords, patterns) => [
+    ...keywords.map(keyword => ({ label: `keyword:${keyword}`, regex: keywordRegex(keyword) })),
+    ...patterns
+      .filter((pattern) => {
+        // Patterns saved before the backtracking check are skipped rather than run
+        const error = checkModerationPattern(pattern);
+        if (error) console.error(`Skipping moderation pattern: ${error}`);
+        return !error;
+      })
+      .map(pattern => ({ label: `pattern:${pattern}`, regex: new RegExp(pattern, 'iu') }))
+  ];
+  return {
+    reject: compile(rules.rejectKeywords, rules.rejectPatterns),
+    hold: compile(rules.holdKeywords, rules.holdPatterns)
+  };
+};
+
+const loadModerationRules = async () => {
+  if (moderationRulesCache.rules && moderationRulesCache.expiresAt > Date.now()) {
+    return moderationRulesCache;
+  }
+  const rulesDoc = await db.collection('moderationConfig').doc('autoModeration').get();
+  const rules = { ...DEFAULT_MODERATION_RULES, ...(rulesDoc.exists ? rulesDoc.data() : {}) };
+  moderationRulesCache = { rules, matchers: compileModerationRules(rules), expiresAt: Date.now() + MODERATION_RULES_CACHE_TTL };
+  return moderationRulesCache;
+};
+
+const getModerationRules = async () => (await loadModerationRules()).rules;
+
+// Validate a full rule set from an admin; returns { error } or { value }
+const validateModerationRules = (input) => {
+  const value = { ...DEFAULT_MODERATION_RULES };
+
+  if (input.enabled !== undefined) {
+    if (typeof input.enabled !== 'boolean') return { error: 'enabled must be a boolean' };
+    value.enabled = input.enabled;
+  }
+  if (input.holdNewAccounts !== undefined) {
+    if (typeof input.holdNewAccounts !== 'boolean') return { error: 'holdNewAccounts must be a boolean' };
+    value.holdNewAccounts = input.holdNewAccounts;
+  }
+
+  for (const field of MODERATION_RULE_LISTS) {
+    if (input[field] === undefined) continue;
+    const entries = input[field];
+    if (!Array.isArray(entries) || entries.length > MAX_MODERATION_RULE_ENTRIES ||
+        entries.some(entry => typeof entry !== 'string' || !entry.trim() || entry.length > MAX_MODERATION_RULE_LENGTH)) {
+      return { error: `${field} must be a list of up to ${MAX_MODERATION_RULE_ENTRIES} non-empty strings (max ${MAX_MODERATION_RULE_LENGTH} characters each)` };
+    }
+    value[field] = [...new Set(entries.map(entry => entry.trim()))];
+  }
+
+  for (const pattern of [...value.rejectPatterns, ...value.holdPatterns]) {
+    const patternError = checkModerationPattern(pattern);
+    if (patternError) {
+      return { error: patternError };
+    }
+  }
+
+  for (const field of ['maxLinks', 'newAccountHours', 'newAccountMaxLinks', 'autoHideReportThreshold']) {
+    if (input[field] === undefined) continue;
+    if (field === 'maxLinks' && input[field] === null) {
+      value.maxLinks = null;
+      continue;
+    }
+    if (!Number.isInteger(input[field]) || input[field] < 0) {
+      return { error: `${field} must be a non-negative integer` };
+    }
+    value[field] = input[field];
+  }
+
+  return { value };
+};
+
+const countLinks = (text) => (text.match(/\bhttps?:\/\/\S+|\bwww\.\S+/gi) || []).length;
+
+// Hours since the Firebase account was created, or null if unknown
+const accountAgeHours = async (uid) => {
+  try {
+    const userRecord = await admin.auth().getUser(uid);
+    return (Date.now() - new Date(userRecord.metadata.creationTime).getTime()) / (60 * 60 * 1000);
+  } catch (error) {
+    console.error('Failed to look up account age:', error);
+    return null;
+  }
+};
+
+// Run new or edited content through the rules
+// Returns { decision: 'approved' | 'pending' | 'rejected', matches } where matches name the rules that fired
+const evaluateAutoModeration = async (text, authorId) => {
+  const { rules, matchers } = await loadModerationRules();
+  if (!rules.enabled) {
+    return { decision: 'approved', matches: [] };
+  }
+
+  const matching = list => list.filter(({ regex }) => regex.test(text)).map(({ label }) => label);
+  const rejectMatches = matching(matchers.reject);
+  if (rejectMatches.length > 0) {
+    return { decision: 'rejected', matches: rejectMatches };
+  }
+
+  const holdMatches = matching(matchers.hold);
+
+  const links = countLinks(text);
+  if (rules.maxLinks !== null && links > rules.maxLinks) {
+    holdMatches.push(`links:${links}`);
+  }
+
+  // Only look the account up when the result could change the decision
+  if (rules.newAccountHours > 0 && (rules.holdNewAccounts || links > rules.newAccountMaxLinks)) {
+    const ageHours = await accountAgeHours(authorId);
+    if (ageHours !== null && ageHours < rules.newAccountHours) {
+      holdMatches.push(rules.holdNewAccounts ? 'new_account' : `new_account_links:${links}`);
+    }
+  }
+
+  return { decision: holdMatches.length > 0 ? 'pending' : 'approved', matches: holdMatches };
+};
+
+// Moderation queue entries are aggregated per piece of content: one moderationReports doc
+// (id `${contentType}_${contentId}`) with a reporters subcollection. Once reviewed, the next
+// report reopens it as a fresh round.
+const reportAggregateRef = (contentType, contentId) =>
+  db.collection('moderationReports').doc(`${contentType}_${contentId}`);
+
+// Fields for a newly opened (or reopened) queue entry
+// `category` is the post's category (the parent post's for comments) so the queue can filter on it
+const openReportFields = ({ contentType, contentId, postId = null, category = null, now }) => ({
+  contentId,
+  contentType,
+  postId: contentType === 'comment' ? postId : null,
+  category,
+  status: 'pending',
+  reason: null, // first reason of the round
+  reasons: [],
+  reasonCounts: {},
+  reportCount: 0,
+  ruleMatches: [],
+  autoHidden: false,
+  createdAt: now,
+  lastReportedAt: now,
+  reviewedAt: null,
+  reviewedBy: null,
+  action: null
+});
+
+// Queue content held by auto-moderation, merging into an open entry for the same content
+// `writer` is a batch or transaction; `existingDoc` is the current entry snapshot (null for new content)
+const queueAutoModerationHold = (writer, existingDoc, { contentType, contentId, postId = null, category = null, matches }) => {
+  const now = new Date();
+  const isOpen = existingDoc && existingDoc.exists && existingDoc.data().status === 'pending';
+  const entry = isOpen ? existingDoc.data() : openReportFields({ contentType, contentId, postId, category, now });
+
+  writer.set(reportAggregateRef(contentType, contentId), {
+    ...entry,
+    category: category || entry.category || null,
+    reason: entry.reason || 'auto_moderation',
+    reasons: [...new Set([...entry.reasons, 'auto_moderation'])],
+    ruleMatches: matches,
+    lastReportedAt: now
+  });
+};
+
+// Comments held on creation (`countedInPost: false`) don't count toward their post's comments, hotScore
+// or the parent's replyCount until approved. Reads what counting needs and returns a function doing the
+// writes (null when already counted), so it can run inside a transaction before its first write.
+const prepareHeldCommentCount = async (transaction, commentRef, comment) => {
+  if (comment.countedInPost !== false) return null;
+
+  const postRef = commentRef.parent.parent;
+  const parentRef = comment.parentCommentId ? postRef.collection('comments').doc(comment.parentCommentId) : null;
+  const [postDoc, parentDoc = null] = await transaction.getAll(postRef, ...(parentRef ? [parentRef] : []));
+
+  return (now) => {
+    transaction.update(commentRef, { countedInPost: true });
+    if (postDoc.exists) {
+      const post = postDoc.data();
+      transaction.update(postRef, {
+        comments: admin.firestore.FieldValue.increment(1),
+        hotScore: computeHotScore({ ...post, comments: (post.comments || 0) + 1 })
+      });
+      recordPostStats(transaction, postRef.id, { comments: 1 }, statsDay(now));
+    }
+    if (parentDoc && parentDoc.exists) {
+      transaction.update(parentRef, {
+        replyCount: admin.firestore.FieldValue.increment(1)
+      });
+    }
+  };
+};
+
+const AUTO_MODERATION_REJECTED = {
+  error: 'Content rejected',
+  message: 'This content breaks the community guidelines and was not published'
+};
+
+// Audit log helpers
+// Snapshots are stored as plain JSON: timestamps become ISO strings and undefined values are dropped
+const toAuditState = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value.toDate) return value.toDate().toISOString();
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(toAuditState);
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value)
+      .filter(([, entry]) => entry !== undefined)
+      .map(([key, entry]) => [key, toAuditState(entry)]));
+  }
+  return value;
+};
+
+// Record a privileged action with the target's state before and after it (failures are logged only)
+const logAdminAction = async (actorUid, action, targetUid = null, targetEmail = null,
+  { targetType = null, targetId = null, before = null, after = null } = {}) => {
+  try {
+    await db.collection('adminAudit').add({
+      actorUid,
+      action,
+      targetUid,
+      targetEmail,
+      targetType,
+      targetId,
+      before: toAuditState(before),
+      after: toAuditState(after),
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error('Failed to log admin action:', error);
+  }
+};
+
+// Sanction helpers
+// The restriction to enforce from a user's active sanctions: a ban wins, otherwise the longest suspension
+const pickActiveSanction = (sanctions, now = new Date()) => {
+  let picked = null;
+  for (const sanction of sanctions) {
+    const restriction = activeRestriction(sanction, now);
+    if (!restriction) continue;
+    if (restriction.type === 'ban') {
+      return { sanctionId: sanction.id, type: 'ban', reason: sanction.reason, expiresAt: null };
+    }
+    if (!picked || restriction.expiresAt > picked.expiresAt) {
+      picked = { sanctionId: sanction.id, type: 'suspension', reason: sanction.reason, expiresAt: restriction.expiresAt };
+    }
+  }
+  return picked;
+};
+
+// Shape a sanction document; inEffect is false for warnings, lifted sanctions and expired suspensions
+const formatSanction = (doc) => {
+  const data = doc.data();
+  return {
+    ...serializeTimestamps({ id: doc.id, ...data }),
+    inEffect: data.active && Boolean(activeRestriction(data))
+  };
+};
+
+// Record a sanction and refresh the user's activeSanction (checked by authenticateUser) in one transaction
+const issueSanction = async ({ userId, type, reason, expiresAt = null, issuedBy, reportId = null }) => {
+  const sanctionRef = db.collection('userSanctions').doc();
+  const now = new Date();
+  const sanctionData = {
+    userId,
+    type,
+    reason,
+    expiresAt,
+    reportId,
+    active: true,
+    issuedBy,
+    createdAt: now,
+    liftedAt: null,
+    liftedBy: null,
+    liftReason: null
+  };
+
+  const userRef = db.collection('users').doc(userId);
+  const audit = await db.runTransaction(async (transaction) => {
+    const [userDoc, activeSnapshot] = await Promise.all([
+      transaction.get(userRef),
+      transaction.get(db.collection('userSanctions').where('userId', '==', userId).where('active', '==', true))
+    ]);
+    const sanctions = [
+      ...activeSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })),
+      { id: sanctionRef.id, ...sanctionData }
+    ];
+    const activeSanction = pickActiveSanction(sanctions, now);
+
+    transaction.set(sanctionRef, sanctionData);
+    transaction.set(userRef, { activeSanction }, { merge: true });
+
+    return {
+      before: { activeSanction: userDoc.exists ? userDoc.data().activeSanction || null : null },
+      after: { sanction: sanctionData, activeSanction }
+    };
+  });
+
+  await logAdminAction(issuedBy, 'issueSanction', userId, null, {
+    targetType: 'sanction',
+    targetId: sanctionRef.id,
+    ...audit
+  });
+
+  await createNotification(userId, {
+    type: 'account_sanction',
+    sanctionId: sanctionRef.id,
+    sanctionType: type,
+    reason,
+    expiresAt
+  });
+
+  return { id: sanctionRef.id, ...sanctionData };
+};
+
+// Lift a sanction and recompute the user's activeSanction from whatever else is still active
+const liftSanction = async ({ sanctionId, liftedBy, liftReason = '' }) => {
+  const sanctionRef = db.collection('userSanctions').doc(sanctionId);
+  const now = new Date();
+
+  const audit = await db.runTransaction(async (transaction) => {
+    const sanctionDoc = await transaction.get(sanctionRef);
+    if (!sanctionDoc.exists) {
+      throw new Error('Sanction not found');
+    }
+    if (!sanctionDoc.data().active) {
+      throw new Error('Sanction already lifted');
+    }
+
+    const { userId } = sanctionDoc.data();
+    const userRef = db.collection('users').doc(userId);
+    const [userDoc, activeSnapshot] = await Promise.all([
+      transaction.get(userRef),
+      transaction.get(db.collection('userSanctions').where('userId', '==', userId).where('active', '==', true))
+    ]);
+    const remaining = activeSnapshot.docs
+      .filter(doc => doc.id !== sanctionId)
+      .map(doc => ({ id: doc.id, ...doc.data() }));
+    const lift = {
+      active: false,
+      liftedAt: now,
+      liftedBy,
+      liftReason
+    };
+    const activeSanction = pickActiveSanction(remaining, now);
+
+    transaction.update(sanctionRef, lift);
+    transaction.set(userRef, { activeSanction }, { merge: true });
+
+    return {
+      userId,
+      before: {
+        sanction: sanctionDoc.data(),
+        activeSanction: userDoc.exists ? userDoc.data().activeSanction || null : null
+      },
+      after: { sanction: { ...sanctionDoc.data(), ...lift }, activeSanction }
+    };
+  });
+
+  await logAdminAction(liftedBy, 'liftSanction', audit.userId, null, {
+    targetType: 'sanction',
+    targetId: sanctionId,
+    before: audit.before,
+    after: audit.after
+  });
+};
+
+// Staff accounts can't be sanctioned; builds the user shape isStaffUser expects
+const isStaffAccount = async (uid) => {
+  const [userRecord, userDoc] = await Promise.all([
+    admin.auth().getUser(uid),
+    db.collection('users').doc(uid).get()
+  ]);
+  return isStaffUser({
+    uid,
+    email: userRecord.email,
+    role: userDoc.exists ? userDoc.data().role : 'user',
+    customClaims: userRecord.customClaims || {}
+  });
+};
+
+// Notification helpers
+const MAX_NOTIFICATION_ACTORS = 10; // grouped notifications keep only the most recent actors plus a count
+
+// Write an in-app notification (failures are logged, never block the triggering action)
+// A groupKey merges repeats into one notification, e.g. every like on the same post
+const createNotification = async (recipientId, { type, actorId = null, groupKey = null, isAnonymous = false, ...details }) => {
+  if (!recipientId || recipientId === actorId) return;
+  try {
+    const notificationsRef = db.collection('users').doc(recipientId).collection('notifications');
+    const now = new Date();
+
+    if (groupKey) {
+      const notificationRef = notificationsRef.doc(groupKey);
+      await db.runTransaction(async (transaction) => {
+        const existing = await transaction.get(notificationRef);
+        const previousActorIds = existing.exists ? existing.data().actorIds || [] : [];
+        const previousCount = existing.exists ? existing.data().actorCount || previousActorIds.length : 0;
+        // An actor who already dropped out of the recent list counts again when they come back
+        const isNewActor = !previousActorIds.includes(actorId);
+        transaction.set(notificationRef, {
+          type,
+          ...details,
+          actorIds: [...previousActorIds.filter(id => id !== actorId), actorId].slice(-MAX_NOTIFICATION_ACTORS),
+          actorCount: previousCount + (isNewActor ? 1 : 0),
+          latestActorId: actorId,
+          isAnonymous,
+          read: false,
+          createdAt: existing.exists ? existing.data().createdAt : now,
+          updatedAt: now
+        }, { merge: true });
+      });
+    } else {
+      await notificationsRef.add({
+        type,
+        ...details,
+        actorIds: actorId ? [actorId] : [],
+        actorCount: actorId ? 1 : 0,
+        latestActorId: actorId,
+        isAnonymous,
+        read: false,
+        createdAt: now,
+        updatedAt: now
+      });
+    }
+  } catch (error) {
+    console.error('Failed to create notification:', error);
+  }
+};
+
+// Backfill helpers
+// Fields added after content already existed are filled in by backfills (POST /v1/admin/backfills/:name).
+// Each one pages through a collection and updates only documents that still need it, so re-running is safe.
+const BACKFILL_BATCH_SIZE = 400;
+const BACKFILLS = {
+  // Top-level comment queries match parentCommentId == null, which skips docs without the field
+  commentThreads: {
+    query: () => db.collectionGroup('comments'),
+    update: (comment) => (comment.parentCommentId === undefined
+      ? { parentCommentId: null, depth: comment.depth || 0, replyCount: comment.replyCount || 0 }
+      : null)
+  },
+  // The hot feed orders by hotScore, which leaves out posts without it
+  postHotScores: {
+    query: () => db.collection('posts'),
+    update: (post) => (post.hotScore === undefined ? { hotScore: computeHotScore(post) } : null)
+  },
+  // Search matches on searchTokens, so content written before indexing can't be found without them
+  postSearchTokens: {
+    query: () => db.collection('posts'),
+    update: (post) => (post.searchTokens === undefined
+      ? { searchTokens: buildSearchTokens(post.content, post.tags || []) }
+      : null)
+  },
+  commentSearchTokens: {
+    query: () => db.collectionGroup('comments'),
+    update: (comment) => (comment.searchTokens === undefined
+      ? { searchTokens: comment.deletedAt ? [] : buildSearchTokens(comment.content) }
+      : null)
+  }
+};
+
+const runBackfill = async (name) => {
+  const backfill = BACKFILLS[name];
+  const result = { name, scanned: 0, updated: 0 };
+  let lastDoc = null;
+
+  for (;;) {
+    let query = backfill.query().orderBy(admin.firestore.FieldPath.documentId()).limit(BACKFILL_BATCH_SIZE);
+    if (lastDoc) query = query.startAfter(lastDoc);
+    const snapshot = await query.get();
+    if (snapshot.empty) break;
+
+    const batch = db.batch();
+    let writes = 0;
+    snapshot.docs.forEach((doc) => {
+      const changes = backfill.update(doc.data(), doc);
+      if (changes) {
+        batch.update(doc.ref, changes);
+        writes += 1;
+      }
+    });
+    if (writes > 0) await batch.commit();
+
+    result.scanned += snapshot.size;
+    result.updated += writes;
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  return result;
+};
+
+// ========== API ROUTES ==========
+
+// Health check
+app.get('/v1/health', (req, res) => {
+  res.json({ 
+    ok: true,
+    status: 'healthy', 
+    timestamp: new Date().toISOString(),
+    message: 'Femina Backend API is running!' 
+  });
+});
+
+// Root endpoint for deployment verification
+app.get('/', (req, res) => {
+  res.type('text').send('Femina API - Backend Running');
+});
+
+// ========== POSTS API ==========
+
+// GET /v1/posts - List posts with filters and sorting
+app.get('/v1/posts', optionalAuth, async (req, res) => {
+  try {
+    // Normalize category filter
+    if (req.query.category) {
+      req.query.category = String(req.query.category).toLowerCase().trim();
+    }
+
+    const {
+      category,
+      sortBy = 'new',
+      timeframe = 'all',
+      page = '1',
+      limit = '20',
+      cursor,
+      tag,
+      feed = 'all',
+      updatedAfter
+    } = req.query;
+
+    const pageNum = parseInt(page, 10);
+    const limitNum = Math.min(parseInt(limit, 10), 50); // Max 50 per page
+    const offset = (pageNum - 1) * limitNum;
+
+    // Sort keys per mode (also used to build cursors)
+    const sortOrders = {
+      top: [['likes', 'desc'], ['createdAt', 'desc']],
+      discussed: [['comments', 'desc'], ['createdAt', 'desc']],
+      // Posts created before hot ranking are listed once the postHotScores backfill has run
+      hot: [['hotScore', 'desc'], ['createdAt', 'desc']],
+      new: [['createdAt', 'desc']]
+    };
+    const orderBy = Array.isArray(sortOrders[sortBy]) ? sortOrders[sortBy] : sortOrders.new;
+    const sortFields = orderBy.map(([field]) => field);
+
+    let startAfter = null;
+    if (cursor) {
+      startAfter = decodeCursor(cursor, sortFields);
+      if (!startAfter) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: 'Invalid cursor'
+        });
+      }
+    }
+
+    const sendEmptyPage = () => res.json({
+      success: true,
+      data: {
+        posts: [],
+        pagination: {
+          currentPage: pageNum,
+          hasMore: false,
+          totalShown: 0,
+          nextCursor: null
+        }
+      }
+    });
+
+    // Personalized feed: only people the caller follows
+    let followedIds = null;
+    if (feed === 'following') {
+      if (!req.user) {
+        return res.status(401).json({
+          error: 'Authentication required',
+          message: 'Sign in to see posts from people you follow'
+        });
+      }
+
+      const followingSnapshot = await db.collection('users').doc(req.user.uid)
+        .collection('following').get();
+      followedIds = followingSnapshot.docs.map(doc => doc.id);
+      if (followedIds.length === 0) {
+        return sendEmptyPage();
+      }
+    }
+
+    let query = db.collection('posts');
+
+    // Filter by category
+    if (category && CATEGORIES.includes(category)) {
+      query = query.where('category', '==', category);
+    }
+
+    // Filter by tag (hashtag pages); blocklisted tags have no page
+    if (tag) {
+      const [normalizedTag] = normalizeTags([String(tag)]);
+      const blockedTags = await getBlockedTags();
+      if (!normalizedTag || blockedTags.has(normalizedTag)) {
+        return sendEmptyPage();
+      }
+      query = query.where('tags', 'array-contains', normalizedTag);
+    }
+
+    // Exclude pending and removed posts
+    query = query.where('moderationStatus', '==', 'approved');
+
+    // Timeframe filtering
+    const cutoffTime = timeframeCutoff(timeframe);
+    if (cutoffTime) {
+      query = query.where('createdAt', '>=', cutoffTime);
+    }
+
+    // UpdatedAfter filter for auto-refresh
+    if (updatedAfter) {
+      try {
+        const afterDate = new Date(updatedAfter);
+        query = query.where('updatedAt', '>=', afterDate);
+      } catch (e) {
+        // Invalid date format, ignore filter
+      }
+    }
+
+    // Sorting and pagination (cursor preferred, page kept for older clients)
+    let docs;
+    if (followedIds) {
+      // Anonymous posts never appear in the following feed, so they can't be tied to an author
+      query = query.where('isAnonymous', '==', false);
+      docs = await paginateByAuthors(query, followedIds, orderBy, { startAfter, offset, limit: limitNum });
+    } else {
+      docs = (await paginateQuery(query, orderBy, { startAfter, offset, limit: limitNum }).get()).docs;
+    }
+
+    const posts = [];
+    const hasMore = docs.length > limitNum;
+
+    // Process posts (take only the requested limit)
+    const docsToProcess = hasMore ? docs.slice(0, limitNum) : docs;
+    
+    // Skip authors the caller has blocked or muted
+    const isHidden = await getHiddenContentFilter(req.user?.uid);
+    for (const doc of docsToProcess) {
+      if (isHidden(doc.data(), doc.id)) continue;
+      posts.push(serializeTimestamps({ id: doc.id, ...doc.data() }));
+    }
+
+    // Resolve all authors in one batch
+    await attachAuthors(posts, req.user?.uid);
+    await attachBookmarkState(posts, req.user?.uid);
+    await attachReactionState(posts, req.user?.uid);
+    await attachPollState(posts, req.user?.uid);
+    await attachImageAssets(posts);
+
+    res.json({
+      success: true,
+      data: {
+        posts,
+        pagination: {
+          currentPage: pageNum,
+          hasMore,
+          totalShown: posts.length,
+          nextCursor: hasMore ? encodeCursor(docsToProcess[docsToProcess.length - 1], sortFields) : null
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching posts:', error);
+    
+    // Handle empty collection gracefully and index errors
+    if (error.code === 5 || error.message.includes('NOT_FOUND')) {
+      const pageNum = parseInt(req.query.page || '1', 10);
+      return res.json({
+        success: true,
+        data: {
+          posts: [],
+          pagination: {
+            currentPage: pageNum,
+            hasMore: false,
+            totalShown: 0,
+            nextCursor: null
+          }
+        }
+      });
+    }
+    
+    // Handle missing Firestore indexes
+    if (error.code === 9 || error.message.includes('FAILED_PRECONDITION')) {
+      const pageNum = parseInt(req.query.page || '1', 10);
+      return res.json({
+        success: true,
+        data: {
+          posts: [],
+          pagination: {
+            currentPage: pageNum,
+            hasMore: false,
+            totalShown: 0,
+            nextCursor: null
+          }
+        },
+        warning: 'Database indexes need to be created. See IMPLEMENTATION_REPORT.md for details.'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch posts',
+      message: error.message
+    });
+  }
+});
+
+// Validate and normalize post fields (shared by create and edit)
+// Returns { error } on failure, otherwise { value } with the cleaned fields
+const validatePostInput = ({ content, category, images, tags }) => {
+  const normalizedCategory = String(category || '').toLowerCase().trim();
+
+  if (!content || typeof content !== 'string' || content.trim().length === 0) {
+    return { error: 'Content is required' };
+  }
+
+  if (!CATEGORIES.includes(normalizedCategory)) {
+    console.warn('[validatePostInput] invalid category:', category);
+    return { error: `Invalid category. Must be one of: ${CATEGORIES.join(', ')}` };
+  }
+
+  if (content.length > 5000) {
+    return { error: 'Content too long. Maximum 5000 characters.' };
+  }
+
+  if (images !== undefined && images !== null &&
+      (!Array.isArray(images) || !images.every(image => typeof image === 'string'))) {
+    return { error: 'images must be a list of image asset ids' };
+  }
+
+  return {
+    value: {
+      content: content.trim(),
+      category: normalizedCategory,
+      images: Array.isArray(images) ? images.slice(0, 10) : [], // Max 10 images
+      tags: normalizeTags(tags).slice(0, 20) // Max 20 tags
+    }
+  };
+};
+
+// POST /v1/posts - Create new post
+app.post('/v1/posts', authenticateUser, async (req, res) => {
+  try {
+    const { isAnonymous = false } = req.body;
+
+    // Validation
+    const { error, value } = validatePostInput(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: error
+      });
+    }
+
+    value.tags = await filterBlockedTags(value.tags);
+
+    const imageError = await checkImageAssets(value.images, req.user.uid);
+    if (imageError) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: imageError
+      });
+    }
+
+    const poll = validatePollInput(req.body.poll);
+    if (poll.error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: poll.error
+      });
+    }
+
+    const verdict = await evaluateAutoModeration(
+      [value.content, ...value.tags, ...(poll.value ? poll.value.options.map(option => option.text) : [])].join(' '),
+      req.user.uid
+    );
+    if (verdict.decision === 'rejected') {
+      return res.status(422).json(AUTO_MODERATION_REJECTED);
+    }
+
+    const now = new Date();
+    const postData = {
+      ...value,
+      searchTokens: buildSearchTokens(value.content, value.tags),
+      isAnonymous: Boolean(isAnonymous),
+      authorId: req.user.uid,
+      createdAt: now,
+      updatedAt: now,
+      moderationStatus: verdict.decision,
+      countedTags: verdict.decision === 'approved' ? value.tags : [],
+      ...(poll.value ? { poll: poll.value } : {}),
+      likes: 0,
+      reactionCounts: emptyReactionCounts(),
+      comments: 0,
+      views: 0,
+      signedInViews: 0,
+      hotScore: computeHotScore({ createdAt: now })
+    };
+
+    // Create post, plus a queue entry when auto-moderation holds it
+    const postRef = db.collection('posts').doc();
+    const batch = db.batch();
+    batch.set(postRef, postData);
+    if (verdict.decision === 'pending') {
+      queueAutoModerationHold(batch, null, {
+        contentType: 'post',
+        contentId: postRef.id,
+        category: postData.category,
+        matches: verdict.matches
+      });
+    }
+    await batch.commit();
+    await recordTagUsage(postData.countedTags, now);
+    const createdPost = {
+      id: postRef.id,
+      ...postData,
+      createdAt: postData.createdAt.toISOString(),
+      updatedAt: postData.updatedAt.toISOString(),
+      author: shapeAuthor(req.user.uid, req.user, postData.isAnonymous, postRef.id),
+      isOwn: true,
+      isBookmarked: false,
+      myReaction: null,
+      isLiked: false,
+      ...(poll.value ? { poll: shapePoll(poll.value) } : {})
+    };
+    await attachImageAssets([createdPost]);
+
+    // Remove internal fields
+    stripInternalFields(createdPost);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        post: createdPost
+      }
+    });
+
+  } catch (error) {
+    console.error('Error creating post:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create post',
+      message: error.message
+    });
+  }
+});
+
+// POST /v1/posts/:id/like - Toggle like on post
+app.post('/v1/posts/:id/like', authenticateUser, async (req, res) => {
+  try {
+    const postId = req.params.id;
+    const userId = req.user.uid;
+
+    // Any reaction counts as a like here; toggling removes whichever reaction the caller has
+    const { authorId, added, result } = await setReaction({
+      itemRef: db.collection('posts').doc(postId),
+      userId,
+      toggleLike: true,
+      notFoundMessage: 'Post not found',
+      isPost: true
+    });
+
+    if (added) {
+      await createNotification(authorId, {
+        type: 'post_like',
+        actorId: userId,
+        groupKey: `post_like_${postId}`,
+        postId,
+        reaction: result.reaction
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Error toggling post like:', error);
+    const statusCodes = { 'Post not found': 404, [BLOCKED_INTERACTION_MESSAGE]: 403 };
+    res.status(statusCodes[error.message] || 500).json({
+      success: false,
+      error: 'Failed to toggle like',
+      message: error.message
+    });
+  }
+});
+
+// Shared handler for POST (set/change, body { type }) and DELETE (remove) reaction routes
+const reactionHandler = ({ remove, resolveTarget }) => async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const type = remove ? null : req.body.type;
+
+    if (!remove && !REACTION_TYPES.includes(type)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: `type must be one of: ${REACTION_TYPES.join(', ')}`
+      });
+    }
+
+    const target = resolveTarget(req);
+    const { authorId, added, result } = await setReaction({ ...target, userId, type });
+
+    if (added) {
+      await createNotification(authorId, {
+        type: target.isPost ? 'post_like' : 'comment_like',
+        actorId: userId,
+        groupKey: target.isPost ? `post_like_${req.params.id}` : `comment_like_${req.params.commentId}`,
+        postId: target.isPost ? req.params.id : req.params.postId,
+        ...(target.isPost ? {} : { commentId: req.params.commentId }),
+        reaction: result.reaction
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Error updating reaction:', error);
+    const statusCodes = { 'Post not found': 404, 'Comment not found': 404, [BLOCKED_INTERACTION_MESSAGE]: 403 };
+    res.status(statusCodes[error.message] || 500).json({
+      success: false,
+      error: 'Failed to update reaction',
+      message: error.message
+    });
+  }
+};
+
+const postReactionTarget = (req) => ({
+  itemRef: db.collection('posts').doc(req.params.id),
+  notFoundMessage: 'Post not found',
+  isPost: true
+});
+
+// POST /v1/posts/:id/reactions - React to a post (one reaction per user; a new type replaces the old one)
+app.post('/v1/posts/:id/reactions', authenticateUser, reactionHandler({ remove: false, resolveTarget: postReactionTarget }));
+
+// DELETE /v1/posts/:id/reactions - Remove your reaction from a post
+app.delete('/v1/posts/:id/reactions', authenticateUser, reactionHandler({ remove: true, resolveTarget: postReactionTarget }));
+
+// POST /v1/posts/:id/bookmark - Toggle bookmark (saved post) for the caller
+app.post('/v1/posts/:id/bookmark', authenticateUser, async (req, res) => {
+  try {
+    const postId = req.params.id;
+    const userId = req.user.uid;
+
+    // Use transaction to ensure atomicity
+    const result = await db.runTransaction(async (transaction) => {
+      const postRef = db.collection('posts').doc(postId);
+      const bookmarkRef = db.collection('users').doc(userId).collection('bookmarks').doc(postId);
+
+      const [postDoc, bookmarkDoc] = await transaction.getAll(postRef, bookmarkRef);
+
+      if (bookmarkDoc.exists) {
+        // Unsave: always allowed, even if the post has since gone
+        transaction.delete(bookmarkRef);
+        return { bookmarked: false };
+      }
+
+      if (!postDoc.exists || postDoc.data().moderationStatus !== 'approved') {
+        throw new Error('Post not found');
+      }
+
+      transaction.set(bookmarkRef, {
+        postId,
+        createdAt: new Date()
+      });
+      return { bookmarked: true };
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Error toggling bookmark:', error);
+    res.status(error.message === 'Post not found' ? 404 : 500).json({
+      success: false,
+      error: 'Failed to toggle bookmark',
+      message: error.message
+    });
+  }
+});
+
+// POST /v1/posts/:id/poll/vote - Vote in a post's poll (once per user; body { optionIds: [...] })
+app.post('/v1/posts/:id/poll/vote', authenticateUser, async (req, res) => {
+  try {
+    const postId = req.params.id;
+    const userId = req.user.uid;
+    const { optionIds } = req.body;
+
+    if (!Array.isArray(optionIds) || optionIds.length === 0 || !optionIds.every(Number.isInteger) ||
+        new Set(optionIds).size !== optionIds.length) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'optionIds must be a non-empty list of distinct option ids'
+      });
+    }
+
+    const poll = await db.runTransaction(async (transaction) => {
+      const postRef = db.collection('posts').doc(postId);
+      const postDoc = await transaction.get(postRef);
+
+      if (!postDoc.exists || postDoc.data().deletedAt || postDoc.data().moderationStatus !== 'approved') {
+        throw new Error('Post not found');
+      }
+
+      const post = postDoc.data();
+      if (!post.poll) {
+        throw new Error('Post has no poll');
+      }
+      if (isPollClosed(post.poll)) {
+        throw new Error('Poll is closed');
+      }
+      if (!post.poll.multipleChoice && optionIds.length > 1) {
+        throw new Error('Only one option can be chosen');
+      }
+      if (optionIds.some(id => !post.poll.options.some(option => option.id === id))) {
+        throw new Error('Unknown poll option');
+      }
+
+      const voteRef = pollVoteRef(postId, post.isAnonymous, userId);
+      const [voteDoc, blockDoc] = await Promise.all([
+        transaction.get(voteRef),
+        transaction.get(db.collection('users').doc(post.authorId).collection('blocks').doc(userId))
+      ]);
+      if (blockDoc.exists && post.authorId !== userId) {
+        throw new Error(post.isAnonymous ? 'Post not found' : BLOCKED_INTERACTION_MESSAGE);
+      }
+      if (voteDoc.exists) {
+        throw new Error('Already voted');
+      }
+
+      const updatedPoll = {
+        ...post.poll,
+        options: post.poll.options.map(option => (
+          optionIds.includes(option.id) ? { ...option, votes: option.votes + 1 } : option
+        )),
+        totalVoters: post.poll.totalVoters + 1
+      };
+
+      // Anonymous polls key the vote by pseudonym and don't record the uid
+      transaction.set(voteRef, {
+        ...(post.isAnonymous ? {} : { userId }),
+        optionIds,
+        createdAt: new Date()
+      });
+      transaction.update(postRef, { poll: updatedPoll });
+
+      return updatedPoll;
+    });
+
+    res.json({
+      success: true,
+      data: { poll: shapePoll(poll, optionIds) }
+    });
+
+  } catch (error) {
+    console.error('Error voting in poll:', error);
+    const statusCodes = {
+      'Post not found': 404,
+      'Post has no poll': 400,
+      'Poll is closed': 400,
+      'Only one option can be chosen': 400,
+      'Unknown poll option': 400,
+      'Already voted': 409,
+      [BLOCKED_INTERACTION_MESSAGE]: 403
+    };
+    res.status(statusCodes[error.message] || 500).json({
+      success: false,
+      error: 'Failed to record vote',
+      message: error.message
+    });
+  }
+});
+
+// GET /v1/posts/:id - Get single post (increments view count)
+app.get('/v1/posts/:id', optionalAuth, async (req, res) => {
+  try {
+    const postId = req.params.id;
+
+    const postDoc = await db.collection('posts').doc(postId).get();
+    
+    // Soft-deleted posts are treated as missing
+    if (!postDoc.exists || postDoc.data().deletedAt) {
+      return res.status(404).json({
+        success: false,
+        error: 'Post not found'
+      });
+    }
+
+    // Held and removed posts are only visible to their author and staff
+    if (postDoc.data().moderationStatus !== 'approved' && postDoc.data().authorId !== req.user?.uid &&
+        !(req.user && await isStaffUser(req.user))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Post not found'
+      });
+    }
+
+    const post = { id: postDoc.id, ...postDoc.data() };
+
+    // Count the view for signed-in and signed-out visitors (deduplicated per viewer for 10 minutes);
+    // held and removed posts, seen only by their author and staff, aren't counted. The count in this
+    // response doesn't include views still waiting for flushPostViews.
+    if (post.moderationStatus === 'approved') {
+      recordPostView(postId, viewerKey(req), Boolean(req.user))
+        .catch(error => console.error('Failed to record post view:', error));
+    }
+
+    await attachAuthors([post], req.user?.uid);
+    await attachBookmarkState([post], req.user?.uid);
+    await attachReactionState([post], req.user?.uid);
+    await attachPollState([post], req.user?.uid);
+    await attachImageAssets([post]);
+    serializeTimestamps(post);
+
+    res.json({
+      success: true,
+      data: { post }
+    });
+
+  } catch (error) {
+    console.error('Error fetching post:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch post',
+      message: error.message
+    });
+  }
+});
+
+// GET /v1/posts/:id/stats - Daily views, unique viewers, likes and comments for the post's author
+app.get('/v1/posts/:id/stats', authenticateUser, async (req, res) => {
+  try {
+    const postRef = db.collection('posts').doc(req.params.id);
+    const postDoc = await postRef.get();
+    if (!postDoc.exists || postDoc.data().deletedAt) {
+      return res.status(404).json({
+        success: false,
+        error: 'Post not found'
+      });
+    }
+
+    const post = postDoc.data();
+    if (post.authorId !== req.user.uid) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only the author can view post stats'
+      });
+    }
+
+    // Inclusive UTC date range, defaulting to the last 30 days
+    const isDay = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && statsDay(new Date(Date.parse(value) || 0)) === value;
+    const to = req.query.to || statsDay(new Date());
+    const from = req.query.from || (isDay(to) ? statsDay(new Date(Date.parse(to) - (DEFAULT_STATS_RANGE_DAYS - 1) * DAY_MS)) : '');
+    if (!isDay(from) || !isDay(to)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'from and to must be dates in YYYY-MM-DD format'
+      });
+    }
+    const rangeDays = (Date.parse(to) - Date.parse(from)) / DAY_MS + 1;
+    if (rangeDays < 1 || rangeDays > MAX_STATS_RANGE_DAYS) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: `from must be on or before to, spanning at most ${MAX_STATS_RANGE_DAYS} days`
+      });
+    }
+
+    const snapshot = await postRef.collection('dailyStats')
+      .where('date', '>=', from)
+      .where('date', '<=', to)
+      .orderBy('date')
+      .get();
+    const byDay = new Map(snapshot.docs.map(doc => [doc.id, doc.data()]));
+
+    // Every day in the range is listed, with zeros for days without activity
+    const fields = ['views', 'uniqueViewers', 'likes', 'comments'];
+    const totals = Object.fromEntries(fields.map(field => [field, 0]));
+    const daily = [];
+    for (let time = Date.parse(from); time <= Date.parse(to); time += DAY_MS) {
+      const date = statsDay(new Date(time));
+      const stats = byDay.get(date) || {};
+      const entry = { date };
+      fields.forEach((field) => {
+        entry[field] = stats[field] || 0;
+        totals[field] += entry[field];
+      });
+      daily.push(entry);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        postId: postDoc.id,
+        from,
+        to,
+        lifetime: {
+          views: post.views || 0,
+          likes: post.likes || 0,
+          comments: post.comments || 0,
+          reactionCounts: reactionCountsOf(post)
+        },
+        totals, // uniqueViewers is summed per day, so a viewer returning on several days counts once per day
+        daily
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching post stats:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch post stats',
+      message: error.message
+    });
+  }
+});
+
+// PATCH /v1/posts/:id - Edit post (author or staff), keeps previous version as a revision
+app.patch('/v1/posts/:id', authenticateUser, async (req, res) => {
+  try {
+    const postId = req.params.id;
+    const postRef = db.collection('posts').doc(postId);
+
+    const postDoc = await postRef.get();
+    if (!postDoc.exists || postDoc.data().deletedAt) {
+      return res.status(404).json({
+        success: false,
+        error: 'Post not found'
+      });
+    }
+
+    const existing = postDoc.data();
+    if (existing.authorId !== req.user.uid && !(await isStaffUser(req.user))) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only edit your own posts'
+      });
+    }
+
+    // Merge editable fields over the current version, then re-run create validation
+    const editable = ['content', 'category', 'images', 'tags'];
+    const input = {};
+    for (const field of editable) {
+      input[field] = req.body[field] !== undefined ? req.body[field] : existing[field];
+    }
+
+    const { error, value } = validatePostInput(input);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: error
+      });
+    }
+
+    value.tags = await filterBlockedTags(value.tags);
+
+    const imageError = await checkImageAssets(value.images, existing.authorId, existing.images || []);
+    if (imageError) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: imageError
+      });
+    }
+
+    const verdict = await evaluateAutoModeration([value.content, ...value.tags].join(' '), existing.authorId);
+    if (verdict.decision === 'rejected') {
+      return res.status(422).json(AUTO_MODERATION_REJECTED);
+    }
+
+    const now = new Date();
+    const { moderationStatus, addedTags } = await db.runTransaction(async (transaction) => {
+      const currentDoc = await transaction.get(postRef);
+      if (!currentDoc.exists || currentDoc.data().deletedAt) {
+        throw new Error('Post not found');
+      }
+
+      const current = currentDoc.data();
+      const revisionRef = postRef.collection('revisions').doc();
+      const reportDoc = verdict.decision === 'pending'
+        ? await transaction.get(reportAggregateRef('post', postId))
+        : null;
+
+      // Store the version being replaced
+      transaction.set(revisionRef, {
+        content: current.content,
+        category: current.category,
+        images: current.images || [],
+        tags: current.tags || [],
+        editedBy: req.user.uid,
+        createdAt: now
+      });
+      // Held edits take a live post back to pending; removed or already-held posts keep their status
+      const held = verdict.decision === 'pending' && current.moderationStatus === 'approved';
+      // Tags added to a post that stays live count towards trending straight away
+      const tagCount = !held && current.moderationStatus === 'approved' ? tagsToCount(current, value.tags) : null;
+      transaction.update(postRef, {
+        ...value,
+        searchTokens: buildSearchTokens(value.content, value.tags),
+        ...(held ? { moderationStatus: 'pending' } : {}),
+        ...(tagCount ? { countedTags: tagCount.countedTags } : {}),
+        editedAt: now,
+        updatedAt: now
+      });
+      if (held) {
+        queueAutoModerationHold(transaction, reportDoc, {
+          contentType: 'post',
+          contentId: postId,
+          category: value.category,
+          matches: verdict.matches
+        });
+      }
+
+      return {
+        moderationStatus: held ? 'pending' : current.moderationStatus,
+        addedTags: tagCount ? tagCount.added : []
+      };
+    });
+
+    // Staff edits of other users' posts are privileged actions
+    if (existing.authorId !== req.user.uid) {
+      await logAdminAction(req.user.uid, 'editPost', existing.authorId, null, {
+        targetType: 'post',
+        targetId: postId,
+        before: { content: existing.content, category: existing.category, images: existing.images || [], tags: existing.tags || [] },
+        after: { ...value, moderationStatus }
+      });
+    }
+
+    await recordTagUsage(addedTags, now);
+
+    const post = {
+      id: postId,
+      ...existing,
+      ...value,
+      moderationStatus,
+      editedAt: now,
+      updatedAt: now
+    };
+
+    await attachAuthors([post], req.user?.uid);
+    await attachBookmarkState([post], req.user?.uid);
+    await attachReactionState([post], req.user?.uid);
+    await attachPollState([post], req.user?.uid);
+    await attachImageAssets([post]);
+    serializeTimestamps(post);
+
+    res.json({
+      success: true,
+      data: { post }
+    });
+
+  } catch (error) {
+    console.error('Error editing post:', error);
+    res.status(error.message === 'Post not found' ? 404 : 500).json({
+      success: false,
+      error: 'Failed to edit post',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /v1/posts/:id - Soft delete post (author or staff)
+app.delete('/v1/posts/:id', authenticateUser, async (req, res) => {
+  try {
+    const postId = req.params.id;
+    const postRef = db.collection('posts').doc(postId);
+
+    const postDoc = await postRef.get();
+    if (!postDoc.exists || postDoc.data().deletedAt) {
+      return res.status(404).json({
+        success: false,
+        error: 'Post not found'
+      });
+    }
+
+    if (postDoc.data().authorId !== req.user.uid && !(await isStaffUser(req.user))) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only delete your own posts'
+      });
+    }
+
+    // Moving out of 'approved' drops the post from the feed's approved-only filter
+    const now = new Date();
+    await postRef.update({
+      moderationStatus: 'deleted',
+      deletedAt: now,
+      deletedBy: req.user.uid,
+      updatedAt: now
+    });
+
+    if (postDoc.data().authorId !== req.user.uid) {
+      await logAdminAction(req.user.uid, 'deletePost', postDoc.data().authorId, null, {
+        targetType: 'post',
+        targetId: postId,
+        before: { content: postDoc.data().content, moderationStatus: postDoc.data().moderationStatus },
+        after: { moderationStatus: 'deleted', deletedAt: now }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Post deleted successfully'
+      }
+    });
+
+  } catch (error) {
+    console.error('Error deleting post:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete post',
+      message: error.message
+    });
+  }
+});
+
+// ========== COMMENTS API ==========
+
+// Shape a comment document for API responses (run attachAuthors afterwards for author info)
+const formatComment = (doc) => {
+  const comment = serializeTimestamps({ id: doc.id, postId: doc.ref.parent.parent.id, ...doc.data() });
+
+  // Deleted placeholders keep no author
+  if (comment.deletedAt) {
+    comment.deleted = true;
+    comment.author = null;
+  }
+
+  // Comments created before threading have no thread fields
+  comment.parentCommentId = comment.parentCommentId || null;
+  comment.depth = comment.depth || 0;
+  comment.replyCount = comment.replyCount || 0;
+
+  delete comment.deletedAt;
+  delete comment.deletedBy;
+  return comment;
+};
+
+// Held and removed comments are only shown to their author. A removed comment that has
+// replies stays in the thread as a placeholder so the replies remain reachable.
+const formatVisibleComment = (doc, viewerId) => {
+  const status = doc.get('moderationStatus');
+  if (status === 'approved' || doc.get('authorId') === viewerId) {
+    return formatComment(doc);
+  }
+  if (status === 'removed' && doc.get('replyCount') > 0) {
+    return { ...formatComment(doc), content: '[removed]', deleted: true, author: null };
+  }
+  return null;
+};
+
+// GET /v1/posts/:id/comments - List top-level comments for a post
+app.get('/v1/posts/:postId/comments', optionalAuth, async (req, res) => {
+  try {
+    const { postId } = req.params;
+    const { page = '1', limit = '20', cursor } = req.query;
+
+    const pageNum = parseInt(page, 10);
+    const limitNum = Math.min(parseInt(limit, 10), 50);
+    const offset = (pageNum - 1) * limitNum;
+
+    const startAfter = cursor ? decodeCursor(cursor, ['createdAt']) : null;
+    if (cursor && !startAfter) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Invalid cursor'
+      });
+    }
+
+    // Get top-level comments (newest first); replies are fetched per thread
+    // Comments written before threading match once the commentThreads backfill has run
+    // Note: moderationStatus filter removed to avoid index requirement
+    // Once Firestore index is deployed, add back: .where('moderationStatus', '==', 'approved')
+    const query = paginateQuery(
+      db.collection('posts').doc(postId)
+        .collection('comments')
+        .where('parentCommentId', '==', null),
+      [['createdAt', 'desc']],
+      { startAfter, offset, limit: limitNum }
+    );
+
+    const snapshot = await query.get();
+    const comments = [];
+    const hasMore = snapshot.docs.length > limitNum;
+
+    const docsToProcess = hasMore ? snapshot.docs.slice(0, limitNum) : snapshot.docs;
+    
+    // Skip authors the caller has blocked or muted
+    const isHidden = await getHiddenContentFilter(req.user?.uid);
+    for (const doc of docsToProcess) {
+      if (isHidden(doc.data(), postId)) continue;
+      const comment = formatVisibleComment(doc, req.user?.uid);
+      if (comment) comments.push(comment);
+    }
+
+    await attachAuthors(comments, req.user?.uid);
+    await attachReactionState(comments, req.user?.uid);
+
+    res.json({
+      success: true,
+      data: {
+        comments,
+        pagination: {
+          currentPage: pageNum,
+          hasMore,
+          totalShown: comments.length,
+          nextCursor: hasMore ? encodeCursor(docsToProcess[docsToProcess.length - 1], ['createdAt']) : null
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching comments:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch comments',
+      message: error.message
+    });
+  }
+});
+
+// GET /v1/posts/:postId/comments/:commentId/replies - List direct replies to a comment
+app.get('/v1/posts/:postId/comments/:commentId/replies', optionalAuth, async (req, res) => {
+  try {
+    const { postId, commentId } = req.params;
+    const { page = '1', limit = '20', cursor } = req.query;
+
+    const pageNum = parseInt(page, 10);
+    const limitNum = Math.min(parseInt(limit, 10), 50);
+    const offset = (pageNum - 1) * limitNum;
+
+    const startAfter = cursor ? decodeCursor(cursor, ['createdAt']) : null;
+    if (cursor && !startAfter) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Invalid cursor'
+      });
+    }
+
+    const commentsRef = db.collection('posts').doc(postId).collection('comments');
+
+    const parentDoc = await commentsRef.doc(commentId).get();
+    if (!parentDoc.exists) {
+      return res.status(404).json({
+        error: 'Comment not found'
+      });
+    }
+
+    // Replies read as a conversation (oldest first)
+    const query = paginateQuery(
+      commentsRef.where('parentCommentId', '==', commentId),
+      [['createdAt', 'asc']],
+      { startAfter, offset, limit: limitNum }
+    );
+
+    const snapshot = await query.get();
+    const replies = [];
+    const hasMore = snapshot.docs.length > limitNum;
+
+    const docsToProcess = hasMore ? snapshot.docs.slice(0, limitNum) : snapshot.docs;
+
+    const isHidden = await getHiddenContentFilter(req.user?.uid);
+    for (const doc of docsToProcess) {
+      if (isHidden(doc.data(), postId)) continue;
+      const reply = formatVisibleComment(doc, req.user?.uid);
+      if (reply) replies.push(reply);
+    }
+
+    await attachAuthors(replies, req.user?.uid);
+    await attachReactionState(replies, req.user?.uid);
+
+    res.json({
+      success: true,
+      data: {
+        replies,
+        pagination: {
+          currentPage: pageNum,
+          hasMore,
+          totalShown: replies.length,
+          nextCursor: hasMore ? encodeCursor(docsToProcess[docsToProcess.length - 1], ['createdAt']) : null
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching replies:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch replies',
+      message: error.message
+    });
+  }
+});
+
+// POST /v1/posts/:id/comments - Create comment on post
+app.post('/v1/posts/:postId/comments', authenticateUser, async (req, res) => {
+  try {
+    const { postId } = req.params;
+    const { content, isAnonymous = false, parentCommentId = null } = req.body;
+
+    if (!content || content.trim().length === 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Content is required'
+      });
+    }
+
+    if (content.length > 2000) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Comment too long. Maximum 2000 characters.'
+      });
+    }
+
+    // Check if post exists
+    const postRef = db.collection('posts').doc(postId);
+    const postDoc = await postRef.get();
+    
+    if (!postDoc.exists || postDoc.data().deletedAt || postDoc.data().moderationStatus !== 'approved') {
+      return res.status(404).json({
+        error: 'Post not found'
+      });
+    }
+
+    // Blocked users can't comment on the blocker's posts; anonymous posts read as missing instead
+    if (await isBlockedBy(postDoc.data().authorId, req.user.uid)) {
+      if (postDoc.data().isAnonymous) {
+        return res.status(404).json({
+          error: 'Post not found'
+        });
+      }
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: BLOCKED_INTERACTION_MESSAGE
+      });
+    }
+
+    // Replies must target an existing comment on the same post, within the depth limit
+    let parentRef = null;
+    let parentAuthorId = null;
+    let depth = 0;
+    if (parentCommentId) {
+      parentRef = postRef.collection('comments').doc(String(parentCommentId));
+      const parentDoc = await parentRef.get();
+
+      if (!parentDoc.exists || parentDoc.data().moderationStatus !== 'approved') {
+        return res.status(404).json({
+          error: 'Parent comment not found'
+        });
+      }
+      parentAuthorId = parentDoc.data().authorId;
+
+      if (await isBlockedBy(parentAuthorId, req.user.uid)) {
+        if (parentDoc.data().isAnonymous) {
+          return res.status(404).json({
+            error: 'Parent comment not found'
+          });
+        }
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: BLOCKED_INTERACTION_MESSAGE
+        });
+      }
+
+      depth = (parentDoc.data().depth || 0) + 1;
+      if (depth > MAX_COMMENT_DEPTH) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: `Replies can only be nested ${MAX_COMMENT_DEPTH} levels deep`
+        });
+      }
+    }
+
+    const verdict = await evaluateAutoModeration(content, req.user.uid);
+    if (verdict.decision === 'rejected') {
+      return res.status(422).json(AUTO_MODERATION_REJECTED);
+    }
+
+    const now = new Date();
+    const commentData = {
+      content: content.trim(),
+      searchTokens: buildSearchTokens(content),
+      authorId: req.user.uid,
+      isAnonymous: Boolean(isAnonymous),
+      parentCommentId: parentRef ? parentRef.id : null,
+      depth,
+      replyCount: 0,
+      createdAt: now,
+      likes: 0,
+      reactionCounts: emptyReactionCounts(),
+      moderationStatus: verdict.decision,
+      countedInPost: verdict.decision === 'approved'
+    };
+
+    // Use transaction to create comment and increment post (and parent reply) counts atomically
+    // Held comments are counted once approved (see prepareHeldCommentCount)
+    const result = await db.runTransaction(async (transaction) => {
+      const commentRef = db.collection('posts').doc(postId).collection('comments').doc();
+      const currentPostDoc = await transaction.get(postRef);
+      const currentPost = currentPostDoc.data();
+
+      // The post may have been deleted or held since the pre-checks above
+      if (!currentPostDoc.exists || currentPost.deletedAt || currentPost.moderationStatus !== 'approved') {
+        throw new Error('Post not found');
+      }
+
+      transaction.set(commentRef, commentData);
+      if (commentData.countedInPost) {
+        transaction.update(postRef, {
+          comments: admin.firestore.FieldValue.increment(1),
+          hotScore: computeHotScore({ ...currentPost, comments: (currentPost.comments || 0) + 1 }),
+          updatedAt: now
+        });
+        recordPostStats(transaction, postId, { comments: 1 }, statsDay(now));
+        if (parentRef) {
+          transaction.update(parentRef, {
+            replyCount: admin.firestore.FieldValue.increment(1)
+          });
+        }
+      }
+      if (verdict.decision === 'pending') {
+        queueAutoModerationHold(transaction, null, {
+          contentType: 'comment',
+          contentId: commentRef.id,
+          postId,
+          category: postDoc.data().category,
+          matches: verdict.matches
+        });
+      }
+
+      return {
+        id: commentRef.id,
+        ...commentData
+      };
+    });
+
+    // Notify the post author, and the parent comment's author for replies (once per person)
+    // Held comments notify nobody until they're approved
+    const postAuthorId = postDoc.data().authorId;
+    const notify = verdict.decision === 'approved';
+    if (notify && parentAuthorId) {
+      await createNotification(parentAuthorId, {
+        type: 'comment_reply',
+        actorId: req.user.uid,
+        isAnonymous: Boolean(isAnonymous),
+        postId,
+        commentId: result.id
+      });
+    }
+    if (notify && postAuthorId !== parentAuthorId) {
+      await createNotification(postAuthorId, {
+        type: 'post_comment',
+        actorId: req.user.uid,
+        isAnonymous: Boolean(isAnonymous),
+        postId,
+        commentId: result.id
+      });
+    }
+
+    // Format response
+    const createdComment = {
+      ...result,
+      postId,
+      createdAt: result.createdAt.toISOString(),
+      author: shapeAuthor(req.user.uid, req.user, commentData.isAnonymous, postId),
+      isOwn: true,
+      myReaction: null,
+      isLiked: false
+    };
+
+    stripInternalFields(createdComment);
+
+    res.status(201).json({
+      success: true,
+      data: { comment: createdComment }
+    });
+
+  } catch (error) {
+    console.error('Error creating comment:', error);
+    const statusCodes = { 'Post not found': 404 };
+    res.status(statusCodes[error.message] || 500).json({
+      success: false,
+      error: 'Failed to create comment',
+      message: error.message
+    });
+  }
+});
+
+// PATCH /v1/posts/:postId/comments/:commentId - Edit own comment
+app.patch('/v1/posts/:postId/comments/:commentId', authenticateUser, async (req, res) => {
+  try {
+    const { postId, commentId } = req.params;
+    const { content } = req.body;
+
+    if (!content || typeof content !== 'string' || content.trim().length === 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Content is required'
+      });
+    }
+
+    if (content.length > 2000) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Comment too long. Maximum 2000 characters.'
+      });
+    }
+
+    const postRef = db.collection('posts').doc(postId);
+    const commentRef = postRef.collection('comments').doc(commentId);
+    const [postDoc, commentDoc] = await db.getAll(postRef, commentRef);
+
+    // Comments on soft-deleted posts can't be edited
+    if (!postDoc.exists || postDoc.data().deletedAt) {
+      return res.status(404).json({
+        error: 'Post not found'
+      });
+    }
+
+    if (!commentDoc.exists || commentDoc.data().deletedAt) {
+      return res.status(404).json({
+        error: 'Comment not found'
+      });
+    }
+
+    if (commentDoc.data().authorId !== req.user.uid) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only edit your own comments'
+      });
+    }
+
+    const verdict = await evaluateAutoModeration(content, req.user.uid);
+    if (verdict.decision === 'rejected') {
+      return res.status(422).json(AUTO_MODERATION_REJECTED);
+    }
+
+    // Held edits take a live comment back to pending and queue it for review
+    const now = new Date();
+    const held = verdict.decision === 'pending' && commentDoc.data().moderationStatus === 'approved';
+    await db.runTransaction(async (transaction) => {
+      const reportDoc = held ? await transaction.get(reportAggregateRef('comment', commentId)) : null;
+      transaction.update(commentRef, {
+        content: content.trim(),
+        searchTokens: buildSearchTokens(content),
+        ...(held ? { moderationStatus: 'pending' } : {}),
+        editedAt: now,
+        updatedAt: now
+      });
+      if (held) {
+        queueAutoModerationHold(transaction, reportDoc, {
+          contentType: 'comment',
+          contentId: commentId,
+          postId,
+          category: postDoc.exists ? postDoc.data().category : null,
+          matches: verdict.matches
+        });
+      }
+    });
+
+    const updatedDoc = await commentRef.get();
+    const [comment] = await attachAuthors([formatComment(updatedDoc)], req.user.uid);
+    await attachReactionState([comment], req.user.uid);
+
+    res.json({
+      success: true,
+      data: { comment }
+    });
+
+  } catch (error) {
+    console.error('Error editing comment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to edit comment',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /v1/posts/:postId/comments/:commentId - Delete comment (author or staff)
+app.delete('/v1/posts/:postId/comments/:commentId', authenticateUser, async (req, res) => {
+  try {
+    const { postId, commentId } = req.params;
+    const postRef = db.collection('posts').doc(postId);
+    const commentRef = postRef.collection('comments').doc(commentId);
+
+    const commentDoc = await commentRef.get();
+    if (!commentDoc.exists || commentDoc.data().deletedAt) {
+      return res.status(404).json({
+        error: 'Comment not found'
+      });
+    }
+
+    if (commentDoc.data().authorId !== req.user.uid && !(await isStaffUser(req.user))) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only delete your own comments'
+      });
+    }
+
+    // Use transaction to remove comment and decrement post comment count atomically
+    const result = await db.runTransaction(async (transaction) => {
+      const [currentDoc, postDoc] = await transaction.getAll(commentRef, postRef);
+      if (!currentDoc.exists || currentDoc.data().deletedAt) {
+        throw new Error('Comment not found');
+      }
+
+      const comment = currentDoc.data();
+      const now = new Date();
+      const placeholder = (comment.replyCount || 0) > 0;
+      const counted = comment.countedInPost !== false;
+
+      // Removing the last reply under a "[deleted]" placeholder removes the placeholder too, up the thread
+      const emptiedPlaceholderRefs = [];
+      let remainingParentRef = null;
+      let parentId = placeholder || !counted ? null : comment.parentCommentId;
+      while (parentId) {
+        const parentRef = postRef.collection('comments').doc(parentId);
+        const parentDoc = await transaction.get(parentRef);
+        if (!parentDoc.exists) break;
+        if (parentDoc.data().deletedAt && (parentDoc.data().replyCount || 0) <= 1) {
+          emptiedPlaceholderRefs.push(parentRef);
+          parentId = parentDoc.data().parentCommentId;
+        } else {
+          remainingParentRef = parentRef;
+          break;
+        }
+      }
+
+      if (placeholder) {
+        // Keep the thread intact: replace with a placeholder
+        transaction.update(commentRef, {
+          content: '[deleted]',
+          searchTokens: [],
+          deletedAt: now,
+          deletedBy: req.user.uid,
+          updatedAt: now
+        });
+      } else {
+        transaction.delete(commentRef);
+        emptiedPlaceholderRefs.forEach(ref => transaction.delete(ref));
+        if (remainingParentRef) {
+          transaction.update(remainingParentRef, {
+            replyCount: admin.firestore.FieldValue.increment(-1)
+          });
+        }
+      }
+
+      const currentPost = postDoc.exists ? postDoc.data() : null;
+      if (currentPost && counted) {
+        transaction.update(postRef, {
+          comments: admin.firestore.FieldValue.increment(-1),
+          hotScore: computeHotScore({ ...currentPost, comments: Math.max(0, (currentPost.comments || 0) - 1) }),
+          updatedAt: now
+        });
+        recordPostStats(transaction, postId, { comments: -1 }, statsDay(now));
+      }
+
+      return { placeholder };
+    });
+
+    if (commentDoc.data().authorId !== req.user.uid) {
+      await logAdminAction(req.user.uid, 'deleteComment', commentDoc.data().authorId, null, {
+        targetType: 'comment',
+        targetId: commentId,
+        before: { postId, content: commentDoc.data().content, moderationStatus: commentDoc.data().moderationStatus },
+        after: result.placeholder ? { postId, content: '[deleted]', placeholder: true } : null
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Comment deleted successfully',
+        placeholder: result.placeholder
+      }
+    });
+
+  } catch (error) {
+    console.error('Error deleting comment:', error);
+    res.status(error.message === 'Comment not found' ? 404 : 500).json({
+      success: false,
+      error: 'Failed to delete comment',
+      message: error.message
+    });
+  }
+});
+
+// POST /v1/posts/:postId/comments/:commentId/like - Toggle like on comment
+app.post('/v1/posts/:postId/comments/:commentId/like', authenticateUser, async (req, res) => {
+  try {
+    const { postId, commentId } = req.params;
+    const userId = req.user.uid;
+
+    const { authorId, added, result } = await setReaction({
+      itemRef: db.collection('posts').doc(postId).collection('comments').doc(commentId),
+      userId,
+      toggleLike: true,
+      notFoundMessage: 'Comment not found',
+      isPost: false
+    });
+
+    if (added) {
+      await createNotification(authorId, {
+        type: 'comment_like',
+        actorId: userId,
+        groupKey: `comment_like_${commentId}`,
+        postId,
+        commentId,
+        reaction: result.reaction
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Error toggling comment like:', error);
+    const statusCodes = { 'Comment not found': 404, [BLOCKED_INTERACTION_MESSAGE]: 403 };
+    res.status(statusCodes[error.message] || 500).json({
+      success: false,
+      error: 'Failed to toggle like',
+      message: error.message
+    });
+  }
+});
+
+const commentReactionTarget = (req) => ({
+  itemRef: db.collection('posts').doc(req.params.postId).collection('comments').doc(req.params.commentId),
+  notFoundMessage: 'Comment not found',
+  isPost: false
+});
+
+// POST /v1/posts/:postId/comments/:commentId/reactions - React to a comment
+app.post('/v1/posts/:postId/comments/:commentId/reactions', authenticateUser,
+  reactionHandler({ remove: false, resolveTarget: commentReactionTarget }));
+
+// DELETE /v1/posts/:postId/comments/:commentId/reactions - Remove your reaction from a comment
+app.delete('/v1/posts/:postId/comments/:commentId/reactions', authenticateUser,
+  reactionHandler({ remove: true, resolveTarget: commentReactionTarget }));
+
+// ========== USERS API ==========
+
+// Fields users may set on their own profile; role/verified are staff-managed
+const PROFILE_FIELDS = ['name', 'bio', 'avatarUrl', 'interests'];
+
+// Validate a profile update; returns { error } or { value } with the cleaned fields
+const validateProfileInput = (body) => {
+  const unknown = Object.keys(body).filter(field => !PROFILE_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    return { error: `Cannot update: ${unknown.join(', ')}. Allowed fields: ${PROFILE_FIELDS.join(', ')}` };
+  }
+
+  const value = {};
+  if (body.name !== undefined) {
+    if (typeof body.name !== 'string' || body.name.trim().length === 0 || body.name.trim().length > 50) {
+      return { error: 'Name must be 1-50 characters' };
+    }
+    value.name = body.name.trim();
+  }
+
+  if (body.bio !== undefined) {
+    if (body.bio !== null && (typeof body.bio !== 'string' || body.bio.length > 300)) {
+      return { error: 'Bio must be at most 300 characters' };
+    }
+    value.bio = body.bio ? body.bio.trim() : '';
+  }
+
+  if (body.avatarUrl !== undefined) {
+    if (body.avatarUrl !== null &&
+      (typeof body.avatarUrl !== 'string' || body.avatarUrl.length > 500 || !/^https:\/\//.test(body.avatarUrl))) {
+      return { error: 'avatarUrl must be an https URL (max 500 characters) or null' };
+    }
+    value.avatarUrl = body.avatarUrl;
+  }
+
+  if (body.interests !== undefined) {
+    if (!Array.isArray(body.interests) || body.interests.length > 10 ||
+      body.interests.some(interest => !CATEGORIES.includes(interest))) {
+      return { error: `Interests must be up to 10 of: ${CATEGORIES.join(', ')}` };
+    }
+    value.interests = [...new Set(body.interests)];
+  }
+
+  return { value };
+};
+
+// Public profile shape (no email, role or other private fields)
+const shapePublicProfile = (uid, data) => ({
+  id: uid,
+  name: data.name || 'User',
+  bio: data.bio || '',
+  avatarUrl: data.avatarUrl || null,
+  verified: data.verified || false,
+  interests: data.interests || [],
+  followersCount: data.followersCount || 0,
+  followingCount: data.followingCount || 0
+});
+
+// The caller's own suspension or ban, if any (never part of the public profile)
+const shapeOwnSanction = (activeSanction) => {
+  const restriction = activeRestriction(activeSanction);
+  return restriction
+    ? serializeTimestamps({ type: restriction.type, reason: restriction.reason, expiresAt: restriction.expiresAt })
+    : null;
+};
+
+// GET /v1/users/me - Caller's own profile
+app.get('/v1/users/me', authenticateUser, async (req, res) => {
+  try {
+    const userDoc = await db.collection('users').doc(req.user.uid).get();
+    const userData = userDoc.exists ? userDoc.data() : {};
+
+    res.json({
+      success: true,
+      data: {
+        user: serializeTimestamps({
+          ...shapePublicProfile(req.user.uid, { ...userData, name: req.user.name, avatarUrl: req.user.avatarUrl }),
+          email: req.user.email,
+          role: req.user.role,
+          sanction: shapeOwnSanction(userData.activeSanction),
+          createdAt: userData.createdAt || null,
+          updatedAt: userData.updatedAt || null
+        })
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching profile:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch profile',
+      message: error.message
+    });
+  }
+});
+
+// PATCH /v1/users/me - Update the caller's own profile
+app.patch('/v1/users/me', authenticateUser, async (req, res) => {
+  try {
+    const { error, value } = validateProfileInput(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: error
+      });
+    }
+
+    const userRef = db.collection('users').doc(req.user.uid);
+    const now = new Date();
+
+    await db.runTransaction(async (transaction) => {
+      const userDoc = await transaction.get(userRef);
+      transaction.set(userRef, {
+        ...value,
+        updatedAt: now,
+        ...(userDoc.exists && userDoc.data().createdAt ? {} : { createdAt: now })
+      }, { merge: true });
+    });
+
+    // Author hydration must not serve the old name/avatar
+    userProfileCache.delete(req.user.uid);
+
+    const userData = (await userRef.get()).data();
+
+    res.json({
+      success: true,
+      data: {
+        user: serializeTimestamps({
+          ...shapePublicProfile(req.user.uid, userData),
+          email: req.user.email,
+          role: req.user.role,
+          sanction: shapeOwnSanction(userData.activeSanction),
+          createdAt: userData.createdAt || null,
+          updatedAt: userData.updatedAt || null
+        })
+      }
+    });
+
+  } catch (error) {
+    console.error('Error updating profile:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update profile',
+      message: error.message
+    });
+  }
+});
+
+// GET /v1/users/me/bookmarks - List the caller's saved posts (newest saves first)
+app.get('/v1/users/me/bookmarks', authenticateUser, async (req, res) => {
+  try {
+    const { page = '1', limit = '20', cursor } = req.query;
+
+    const pageNum = parseInt(page, 10);
+    const limitNum = Math.min(parseInt(limit, 10), 50);
+    const offset = (pageNum - 1) * limitNum;
+
+    const startAfter = cursor ? decodeCursor(cursor, ['createdAt']) : null;
+    if (cursor && !startAfter) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Invalid cursor'
+      });
+    }
+
+    const query = paginateQuery(
+      db.collection('users').doc(req.user.uid).collection('bookmarks'),
+      [['createdAt', 'desc']],
+      { startAfter, offset, limit: limitNum }
+    );
+
+    const snapshot = await query.get();
+    const hasMore = snapshot.docs.length > limitNum;
+    const docsToProcess = hasMore ? snapshot.docs.slice(0, limitNum) : snapshot.docs;
+
+    const postDocs = docsToProcess.length > 0
+      ? await db.getAll(...docsToProcess.map(doc => db.collection('posts').doc(doc.id)))
+      : [];
+
+    // Posts removed by moderation or deleted by their author drop out of the list
+    const posts = [];
+    postDocs.forEach((postDoc, i) => {
+      if (postDoc.exists && postDoc.data().moderationStatus === 'approved') {
+        posts.push(serializeTimestamps({
+          id: postDoc.id,
+          ...postDoc.data(),
+          isBookmarked: true,
+          bookmarkedAt: docsToProcess[i].get('createdAt')
+        }));
+      }
+    });
+
+    await attachAuthors(posts, req.user?.uid);
+    await attachReactionState(posts, req.user?.uid);
+    await attachPollState(posts, req.user?.uid);
+    await attachImageAssets(posts);
+
+    res.json({
+      success: true,
+      data: {
+        posts,
+        pagination: {
+          currentPage: pageNum,
+          hasMore,
+          totalShown: posts.length,
+          nextCursor: hasMore ? encodeCursor(docsToProcess[docsToProcess.length - 1], ['createdAt']) : null
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching bookmarks:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch bookmarks',
+      message: error.message
+    });
+  }
+});
+
+// Resolve the :id route param, allowing "me" for the signed-in caller
+const resolveUserId = (req) => (req.params.id === 'me' && req.user ? req.user.uid : req.params.id);
+
+// POST /v1/users/:id/follow - Follow a user
+app.post('/v1/users/:id/follow', authenticateUser, async (req, res) => {
+  try {
+    const targetId = resolveUserId(req);
+    const userId = req.user.uid;
+
+    if (targetId === userId) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'You cannot follow yourself'
+      });
+    }
+
+    try {
+      await admin.auth().getUser(targetId);
+    } catch (error) {
+      if (error.code === 'auth/user-not-found') {
+        return res.status(404).json({
+          error: 'User not found'
+        });
+      }
+      throw error;
+    }
+
+    if (await isBlockedBy(targetId, userId)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You cannot follow this user'
+      });
+    }
+
+    // Use transaction to keep the edge documents and both counters in sync
+    const result = await db.runTransaction(async (transaction) => {
+      const userRef = db.collection('users').doc(userId);
+      const targetRef = db.collection('users').doc(targetId);
+      const followingRef = userRef.collection('following').doc(targetId);
+      const followerRef = targetRef.collection('followers').doc(userId);
+
+      const [followingDoc, targetDoc] = await transaction.getAll(followingRef, targetRef);
+      const currentFollowers = targetDoc.exists ? (targetDoc.data().followersCount || 0) : 0;
+
+      if (followingDoc.exists) {
+        return { following: true, followersCount: currentFollowers };
+      }
+
+      const now = new Date();
+      transaction.set(followingRef, { userId: targetId, createdAt: now });
+      transaction.set(followerRef, { userId, createdAt: now });
+      transaction.set(userRef, { followingCount: admin.firestore.FieldValue.increment(1) }, { merge: true });
+      transaction.set(targetRef, { followersCount: currentFollowers + 1 }, { merge: true });
+
+      return { following: true, followersCount: currentFollowers + 1 };
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Error following user:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to follow user',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /v1/users/:id/follow - Unfollow a user
+app.delete('/v1/users/:id/follow', authenticateUser, async (req, res) => {
+  try {
+    const targetId = resolveUserId(req);
+    const userId = req.user.uid;
+
+    const result = await db.runTransaction(async (transaction) => {
+      const userRef = db.collection('users').doc(userId);
+      const targetRef = db.collection('users').doc(targetId);
+      const followingRef = userRef.collection('following').doc(targetId);
+      const followerRef = targetRef.collection('followers').doc(userId);
+
+      const [followingDoc, targetDoc] = await transaction.getAll(followingRef, targetRef);
+      const currentFollowers = targetDoc.exists ? (targetDoc.data().followersCount || 0) : 0;
+
+      if (!followingDoc.exists) {
+        return { following: false, followersCount: currentFollowers };
+      }
+
+      transaction.delete(followingRef);
+      transaction.delete(followerRef);
+      transaction.set(userRef, { followingCount: admin.firestore.FieldValue.increment(-1) }, { merge: true });
+      transaction.set(targetRef, { followersCount: Math.max(0, currentFollowers - 1) }, { merge: true });
+
+      return { following: false, followersCount: Math.max(0, currentFollowers - 1) };
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Error unfollowing user:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to unfollow user',
+      message: error.message
+    });
+  }
+});
+
+// Paginated list of users from one of a user's edge subcollections (followers, following, blocks, mutes)
+// `sinceField` names the edge timestamp in the response; routes without :id list the caller's own edges
+const listUserEdges = (edgeCollection, sinceField) => async (req, res) => {
+  try {
+    const userId = req.params.id ? resolveUserId(req) : req.user.uid;
+    const { page = '1', limit = '20', cursor } = req.query;
+
+    const pageNum = parseInt(page, 10);
+    const limitNum = Math.min(parseInt(limit, 10), 50);
+    const offset = (pageNum - 1) * limitNum;
+
+    const startAfter = cursor ? decodeCursor(cursor, ['createdAt']) : null;
+    if (cursor && !startAfter) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Invalid cursor'
+      });
+    }
+
+    const query = paginateQuery(
+      db.collection('users').doc(userId).collection(edgeCollection),
+      [['createdAt', 'desc']],
+      { startAfter, offset, limit: limitNum }
+    );
+
+    const snapshot = await query.get();
+    const hasMore = snapshot.docs.length > limitNum;
+    const docsToProcess = hasMore ? snapshot.docs.slice(0, limitNum) : snapshot.docs;
+
+    // Pseudonym blocks list the pseudonym and the content to unblock through, never the author
+    const pseudonymous = edgeCollection === 'anonymousBlocks';
+    const profiles = pseudonymous ? new Map() : await getUserProfiles(docsToProcess.map(doc => doc.id));
+    const users = docsToProcess.map((doc) => {
+      const since = doc.get('createdAt');
+      return {
+        ...(pseudonymous
+          ? {
+            id: null,
+            anonymousId: doc.id,
+            name: doc.get('name'),
+            avatarUrl: null,
+            verified: false,
+            source: { postId: doc.get('postId'), commentId: doc.get('commentId') }
+          }
+          : shapeAuthor(doc.id, profiles.get(doc.id) || {}, false)),
+        [sinceField]: since && since.toDate ? since.toDate().toISOString() : null
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        users,
+        pagination: {
+          currentPage: pageNum,
+          hasMore,
+          totalShown: users.length,
+          nextCursor: hasMore ? encodeCursor(docsToProcess[docsToProcess.length - 1], ['createdAt']) : null
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error(`Error fetching ${edgeCollection}:`, error);
+    res.status(500).json({
+      success: false,
+      error: `Failed to fetch ${edgeCollection}`,
+      message: error.message
+    });
+  }
+};
+
+// GET /v1/users/:id/followers and /v1/users/:id/following - Paginated follow lists
+app.get('/v1/users/:id/followers', optionalAuth, listUserEdges('followers', 'followedAt'));
+app.get('/v1/users/:id/following', optionalAuth, listUserEdges('following', 'followedAt'));
+
+// GET /v1/users/me/blocked, /v1/users/me/blocked/anonymous and /v1/users/me/muted - The caller's blocked
+// users, blocked pseudonyms and muted users
+app.get('/v1/users/me/blocked', authenticateUser, listUserEdges('blocks', 'blockedAt'));
+app.get('/v1/users/me/blocked/anonymous', authenticateUser, listUserEdges('anonymousBlocks', 'blockedAt'));
+app.get('/v1/users/me/muted', authenticateUser, listUserEdges('mutes', 'mutedAt'));
+
+// Block/mute toggles: POST adds the edge, DELETE removes it
+const setUserEdge = (edgeCollection, stateKey, enabled) => async (req, res) => {
+  try {
+    const targetId = resolveUserId(req);
+    const userId = req.user.uid;
+
+    if (targetId === userId) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: `You cannot ${stateKey === 'blocked' ? 'block' : 'mute'} yourself`
+      });
+    }
+
+    const edgeRef = db.collection('users').doc(userId).collection(edgeCollection).doc(targetId);
+
+    if (enabled) {
+      try {
+        await admin.auth().getUser(targetId);
+      } catch (error) {
+        if (error.code === 'auth/user-not-found') {
+          return res.status(404).json({
+            error: 'User not found'
+          });
+        }
+        throw error;
+      }
+      if (edgeCollection === 'blocks') {
+        await blockUser(userId, targetId);
+      } else {
+        await edgeRef.set({ userId: targetId, createdAt: new Date() });
+      }
+    } else {
+      await edgeRef.delete();
+    }
+
+    res.json({
+      success: true,
+      data: { userId: targetId, [stateKey]: enabled }
+    });
+
+  } catch (error) {
+    console.error(`Error updating ${edgeCollection}:`, error);
+    res.status(500).json({
+      success: false,
+      error: `Failed to update ${edgeCollection}`,
+      message: error.message
+    });
+  }
+};
+
+// POST/DELETE /v1/users/:id/block - Block or unblock a user
+app.post('/v1/users/:id/block', authenticateUser, setUserEdge('blocks', 'blocked', true));
+app.delete('/v1/users/:id/block', authenticateUser, setUserEdge('blocks', 'blocked', false));
+
+// Block/unblock the author of a post or comment by content id. Named authors get a regular block;
+// anonymous authors get a pseudonym block that hides only their anonymous content in that thread, so
+// it neither exposes their uid nor affects their named content and follows.
+const setContentAuthorBlock = (enabled) => async (req, res) => {
+  try {
+    const postId = req.params.postId || req.params.id;
+    const commentId = req.params.commentId || null;
+    const userId = req.user.uid;
+    const notFoundMessage = commentId ? 'Comment not found' : 'Post not found';
+
+    const postRef = db.collection('posts').doc(postId);
+    const contentDoc = await (commentId ? postRef.collection('comments').doc(commentId) : postRef).get();
+    if (!contentDoc.exists || contentDoc.data().deletedAt) {
+      return res.status(404).json({
+        error: notFoundMessage
+      });
+    }
+
+    const { authorId, isAnonymous } = contentDoc.data();
+    if (authorId === userId) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'You cannot block yourself'
+      });
+    }
+
+    const userRef = db.collection('users').doc(userId);
+    if (isAnonymous) {
+      const { anonymousId, name } = anonymousIdentity(authorId, postId);
+      const edgeRef = userRef.collection('anonymousBlocks').doc(anonymousId);
+      if (enabled) {
+        await edgeRef.set({ anonymousId, name, postId, commentId, createdAt: new Date() });
+      } else {
+        await edgeRef.delete();
+      }
+    } else if (enabled) {
+      await blockUser(userId, authorId);
+    } else {
+      await userRef.collection('blocks').doc(authorId).delete();
+    }
+
+    res.json({
+      success: true,
+      data: { postId, commentId, blocked: enabled }
+    });
+
+  } catch (error) {
+    console.error('Error updating content author block:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update blocks',
+      message: error.message
+    });
+  }
+};
+
+// POST/DELETE /v1/posts/:id/author/block and /v1/posts/:postId/comments/:commentId/author/block
+app.post('/v1/posts/:id/author/block', authenticateUser, setContentAuthorBlock(true));
+app.delete('/v1/posts/:id/author/block', authenticateUser, setContentAuthorBlock(false));
+app.post('/v1/posts/:postId/comments/:commentId/author/block', authenticateUser, setContentAuthorBlock(true));
+app.delete('/v1/posts/:postId/comments/:commentId/author/block', authenticateUser, setContentAuthorBlock(false));
+
+// POST/DELETE /v1/users/:id/mute - Mute or unmute a user
+app.post('/v1/users/:id/mute', authenticateUser, setUserEdge('mutes', 'muted', true));
+app.delete('/v1/users/:id/mute', authenticateUser, setUserEdge('mutes', 'muted', false));
+
+// GET /v1/users/:id - Public profile with the user's non-anonymous approved posts
+app.get('/v1/users/:id', optionalAuth, async (req, res) => {
+  try {
+    const userId = resolveUserId(req);
+    const { page = '1', limit = '20', cursor } = req.query;
+
+    const pageNum = parseInt(page, 10);
+    const limitNum = Math.min(parseInt(limit, 10), 50);
+    const offset = (pageNum - 1) * limitNum;
+
+    const startAfter = cursor ? decodeCursor(cursor, ['createdAt']) : null;
+    if (cursor && !startAfter) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Invalid cursor'
+      });
+    }
+
+    // Fall back to the auth record for users who never saved a profile
+    const userDoc = await db.collection('users').doc(userId).get();
+    let userData = userDoc.exists ? userDoc.data() : null;
+    if (!userData) {
+      try {
+        const authUser = await admin.auth().getUser(userId);
+        userData = { name: authUser.displayName, avatarUrl: authUser.photoURL };
+      } catch (error) {
+        if (error.code === 'auth/user-not-found') {
+          return res.status(404).json({
+            error: 'User not found'
+          });
+        }
+        throw error;
+      }
+    }
+
+    // Anonymous posts are never listed, so they can't be tied back to this profile
+    const query = paginateQuery(
+      db.collection('posts')
+        .where('authorId', '==', userId)
+        .where('isAnonymous', '==', false)
+        .where('moderationStatus', '==', 'approved'),
+      [['createdAt', 'desc']],
+      { startAfter, offset, limit: limitNum }
+    );
+
+    const [snapshot, followingDoc] = await Promise.all([
+      query.get(),
+      req.user && req.user.uid !== userId
+        ? db.collection('users').doc(req.user.uid).collection('following').doc(userId).get()
+        : null
+    ]);
+
+    const hasMore = snapshot.docs.length > limitNum;
+    const docsToProcess = hasMore ? snapshot.docs.slice(0, limitNum) : snapshot.docs;
+    const posts = docsToProcess.map(doc => serializeTimestamps({ id: doc.id, ...doc.data() }));
+
+    await attachAuthors(posts, req.user?.uid);
+    await attachBookmarkState(posts, req.user?.uid);
+    await attachReactionState(posts, req.user?.uid);
+    await attachPollState(posts, req.user?.uid);
+    await attachImageAssets(posts);
+
+    res.json({
+      success: true,
+      data: {
+        user: {
+          ...shapePublicProfile(userId, userData),
+          isFollowing: Boolean(followingDoc && followingDoc.exists)
+        },
+        posts,
+        pagination: {
+          currentPage: pageNum,
+          hasMore,
+          totalShown: posts.length,
+          nextCursor: hasMore ? encodeCursor(docsToProcess[docsToProcess.length - 1], ['createdAt']) : null
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching user profile:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch user profile',
+      message: error.message
+    });
+  }
+});
+
+// ========== NOTIFICATIONS API ==========
+
+// GET /v1/notifications - List the caller's notifications with unread count
+app.get('/v1/notifications', authenticateUser, async (req, res) => {
+  try {
+    const { page = '1', limit = '20', cursor, unreadOnly = 'false' } = req.query;
+
+    const pageNum = parseInt(page, 10);
+    const limitNum = Math.min(parseInt(limit, 10), 50);
+    const offset = (pageNum - 1) * limitNum;
+
+    const startAfter = cursor ? decodeCursor(cursor, ['updatedAt']) : null;
+    if (cursor && !startAfter) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Invalid cursor'
+      });
+    }
+
+    const notificationsRef = db.collection('users').doc(req.user.uid).collection('notifications');
+    let query = notificationsRef;
+    if (['true', '1'].includes(String(unreadOnly))) {
+      query = query.where('read', '==', false);
+    }
+
+    // Grouped notifications bubble up when they get new activity
+    query = paginateQuery(query, [['updatedAt', 'desc']], { startAfter, offset, limit: limitNum });
+
+    const [snapshot, unreadSnapshot] = await Promise.all([
+      query.get(),
+      notificationsRef.where('read', '==', false).count().get()
+    ]);
+    const hasMore = snapshot.docs.length > limitNum;
+    const docsToProcess = hasMore ? snapshot.docs.slice(0, limitNum) : snapshot.docs;
+
+    const profiles = await getUserProfiles(docsToProcess
+      .filter(doc => !doc.get('isAnonymous'))
+      .map(doc => doc.get('latestActorId')));
+
+    const notifications = docsToProcess.map((doc) => {
+      const { actorIds = [], actorCount, latestActorId, isAnonymous, ...data } = doc.data();
+      const profile = profiles.get(latestActorId);
+
+      // Anonymous commenters show up under their thread pseudonym
+      const actor = latestActorId
+        ? shapeAuthor(latestActorId, profile || {}, isAnonymous, data.postId)
+        : null;
+
+      return serializeTimestamps({
+        id: doc.id,
+        ...data,
+        actor,
+        actorCount: actorCount || actorIds.length // notifications from before the count fall back to the list
+      });
+    });
+
+    res.json({
+      success: true,
+      data: {
+        notifications,
+        unreadCount: unreadSnapshot.data().count,
+        pagination: {
+          currentPage: pageNum,
+          hasMore,
+          totalShown: notifications.length,
+          nextCursor: hasMore ? encodeCursor(docsToProcess[docsToProcess.length - 1], ['updatedAt']) : null
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch notifications',
+      message: error.message
+    });
+  }
+});
+
+// POST /v1/notifications/:id/read - Mark one notification as read
+app.post('/v1/notifications/:id/read', authenticateUser, async (req, res) => {
+  try {
+    const notificationRef = db.collection('users').doc(req.user.uid)
+      .collection('notifications').doc(req.params.id);
+
+    const notificationDoc = await notificationRef.get();
+    if (!notificationDoc.exists) {
+      return res.status(404).json({
+        error: 'Notification not found'
+      });
+    }
+
+    await notificationRef.update({ read: true });
+
+    res.json({
+      success: true,
+      data: { id: req.params.id, read: true }
+    });
+
+  } catch (error) {
+    console.error('Error marking notification read:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to mark notification as read',
+      message: error.message
+    });
+  }
+});
+
+// POST /v1/notifications/read-all - Mark all of the caller's notifications as read
+app.post('/v1/notifications/read-all', authenticateUser, async (req, res) => {
+  try {
+    const unreadQuery = db.collection('users').doc(req.user.uid)
+      .collection('notifications')
+      .where('read', '==', false)
+      .limit(500); // Firestore batch write limit
+
+    let updated = 0;
+    let snapshot = await unreadQuery.get();
+    while (!snapshot.empty) {
+      const batch = db.batch();
+      snapshot.docs.forEach(doc => batch.update(doc.ref, { read: true }));
+      await batch.commit();
+      updated += snapshot.size;
+      snapshot = await unreadQuery.get();
+    }
+
+    res.json({
+      success: true,
+      data: { updated }
+    });
+
+  } catch (error) {
+    console.error('Error marking all notifications read:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to mark notifications as read',
+      message: error.message
+    });
+  }
+});
+
+// ========== SEARCH API ==========
+
+// Matches fetched per collection before ranking in memory
+const SEARCH_CANDIDATE_LIMIT = 100;
+
+// Score a match: tag hits weigh more than content hits, the exact phrase earns a bonus
+const scoreSearchMatch = (queryTokens, phrase, content, tags = []) => {
+  const contentTokens = new Set(tokenize(content));
+  const tagTokens = new Set(tokenize(tags.join(' ')));
+  let score = 0;
+
+  for (const token of queryTokens) {
+    if (tagTokens.has(token)) score += 2;
+    if (contentTokens.has(token)) score += 1;
+  }
+  if (phrase && String(content || '').toLowerCase().includes(phrase)) {
+    score += 3;
+  }
+  return score;
+};
+
+// Snippet around the first match plus [start, end) ranges of matched words within the snippet
+const highlightMatches = (text, queryTokens, radius = 60) => {
+  const content = String(text || '');
+  const escaped = queryTokens.map(token => token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${escaped.join('|')})[\\p{L}\\p{N}]*`, 'giu');
+
+  const first = pattern.exec(content);
+  const start = first ? Math.max(0, first.index - radius) : 0;
+  const end = Math.min(content.length, start + radius * 3);
+  const snippet = `${start > 0 ? '…' : ''}${content.slice(start, end)}${end < content.length ? '…' : ''}`;
+
+  const matches = [...snippet.matchAll(new RegExp(pattern))].map(match => [match.index, match.index + match[0].length]);
+  return { snippet, matches };
+};
+
+// GET /v1/search - Search approved posts (and optionally comments)
+app.get('/v1/search', optionalAuth, async (req, res) => {
+  try {
+    const {
+      q = '',
+      category,
+      timeframe = 'all',
+      includeComments = 'false',
+      limit = '20'
+    } = req.query;
+
+    // array-contains-any accepts a limited number of values
+    const queryTokens = tokenize(q).slice(0, 10);
+    if (queryTokens.length === 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Search query must contain at least one word of 2 or more characters'
+      });
+    }
+
+    const limitNum = Math.min(parseInt(limit, 10) || 20, 50);
+    const phrase = String(q).toLowerCase().trim();
+    const normalizedCategory = category ? String(category).toLowerCase().trim() : null;
+    const categoryFilter = CATEGORIES.includes(normalizedCategory) ? normalizedCategory : null;
+    const cutoffTime = timeframeCutoff(timeframe);
+
+    // Posts: approved only, so pending/removed/deleted content never matches
+    // Posts written before indexing are found once the postSearchTokens backfill has run
+    let postQuery = db.collection('posts');
+    if (categoryFilter) {
+      postQuery = postQuery.where('category', '==', categoryFilter);
+    }
+    postQuery = postQuery
+      .where('moderationStatus', '==', 'approved')
+      .where('searchTokens', 'array-contains-any', queryTokens);
+    if (cutoffTime) {
+      postQuery = postQuery.where('createdAt', '>=', cutoffTime);
+    }
+
+    const postSnapshot = await postQuery.orderBy('createdAt', 'desc').limit(SEARCH_CANDIDATE_LIMIT).get();
+
+    // Rank by score; the sort is stable so ties stay newest first
+    const posts = postSnapshot.docs
+      .map(doc => ({ doc, score: scoreSearchMatch(queryTokens, phrase, doc.get('content'), doc.get('tags') || []) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limitNum)
+      .map(({ doc, score }) => ({
+        ...serializeTimestamps({ id: doc.id, ...doc.data() }),
+        score,
+        highlight: highlightMatches(doc.get('content'), queryTokens)
+      }));
+
+    await attachAuthors(posts, req.user?.uid);
+    await attachBookmarkState(posts, req.user?.uid);
+    await attachReactionState(posts, req.user?.uid);
+    await attachPollState(posts, req.user?.uid);
+    await attachImageAssets(posts);
+
+    let comments = [];
+    if (['true', '1'].includes(String(includeComments))) {
+      let commentQuery = db.collectionGroup('comments')
+        .where('moderationStatus', '==', 'approved')
+        .where('searchTokens', 'array-contains-any', queryTokens);
+      if (cutoffTime) {
+        commentQuery = commentQuery.where('createdAt', '>=', cutoffTime);
+      }
+
+      const commentSnapshot = await commentQuery.orderBy('createdAt', 'desc').limit(SEARCH_CANDIDATE_LIMIT).get();
+
+      // Comments inherit visibility and category from their post
+      const postRefs = [...new Map(commentSnapshot.docs.map(doc => [doc.ref.parent.parent.path, doc.ref.parent.parent])).values()];
+      const parentDocs = postRefs.length > 0 ? await db.getAll(...postRefs) : [];
+      const parents = new Map(parentDocs.map(doc => [doc.id, doc.exists ? doc.data() : null]));
+
+      comments = commentSnapshot.docs
+        .filter((doc) => {
+          const parent = parents.get(doc.ref.parent.parent.id);
+          return parent && parent.moderationStatus === 'approved' &&
+            (!categoryFilter || parent.category === categoryFilter);
+        })
+        .map(doc => ({ doc, score: scoreSearchMatch(queryTokens, phrase, doc.get('content')) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limitNum)
+        .map(({ doc, score }) => ({
+          ...formatComment(doc),
+          postId: doc.ref.parent.parent.id,
+          score,
+          highlight: highlightMatches(doc.get('content'), queryTokens)
+        }));
+
+      await attachAuthors(comments, req.user?.uid);
+      await attachReactionState(comments, req.user?.uid);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        query: q,
+        tokens: queryTokens,
+        posts,
+        comments
+      }
+    });
+
+  } catch (error) {
+    console.error('Error searching:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to search',
+      message: error.message
+    });
+  }
+});
+
+// ========== TAGS API ==========
+
+// GET /v1/tags/trending - Most used tags in a rolling window (24h, 7d or 30d)
+app.get('/v1/tags/trending', async (req, res) => {
+  try {
+    const { timeframe = '7d', limit = '10' } = req.query;
+    const limitNum = Math.min(parseInt(limit, 10) || 10, 50);
+
+    if (!timeframeCutoff(timeframe)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: `timeframe must be one of: ${Object.keys(TIMEFRAMES).join(', ')}`
+      });
+    }
+
+    const cached = trendingTagsCache.get(timeframe);
+    if (cached && cached.expiresAt > Date.now()) {
+      return res.json({
+        success: true,
+        data: { timeframe, tags: cached.tags.slice(0, limitNum) }
+      });
+    }
+
+    // Collect the bucket docs covering the window
+    const now = Date.now();
+    const hourly = timeframe === '24h';
+    const step = hourly ? 60 * 60 * 1000 : 24 * 60 * 60 * 1000;
+    const bucketCount = TIMEFRAMES[timeframe] / step;
+    const collection = db.collection(hourly ? 'tagUsageHourly' : 'tagUsageDaily');
+
+    const refs = [];
+    for (let i = 0; i < bucketCount; i++) {
+      const ids = tagUsageBucketIds(new Date(now - i * step));
+      refs.push(collection.doc(hourly ? ids.hour : ids.day));
+    }
+
+    const [bucketDocs, blockedTags] = await Promise.all([db.getAll(...refs), getBlockedTags()]);
+
+    const totals = new Map();
+    for (const doc of bucketDocs) {
+      const counts = doc.exists ? (doc.data().counts || {}) : {};
+      for (const [tag, count] of Object.entries(counts)) {
+        if (!blockedTags.has(tag)) {
+          totals.set(tag, (totals.get(tag) || 0) + count);
+        }
+      }
+    }
+
+    const tags = [...totals.entries()]
+      .filter(([, count]) => count > 0)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 50)
+      .map(([tag, count]) => ({ tag, count }));
+
+    trendingTagsCache.set(timeframe, { tags, expiresAt: Date.now() + TAG_CACHE_TTL });
+
+    res.json({
+      success: true,
+      data: { timeframe, tags: tags.slice(0, limitNum) }
+    });
+
+  } catch (error) {
+    console.error('Error fetching trending tags:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch trending tags',
+      message: error.message
+    });
+  }
+});
+
+// GET /v1/moderation/tags/blocked - List blocklisted tags (moderators and admins)
+app.get('/v1/moderation/tags/blocked', authenticateUser, staffGuard, async (req, res) => {
+  try {
+    const snapshot = await db.collection('blockedTags').orderBy('createdAt', 'desc').get();
+    const tags = snapshot.docs.map(doc => serializeTimestamps({ tag: doc.id, ...doc.data() }));
+
+    res.json({
+      success: true,
+      data: { tags }
+    });
+
+  } catch (error) {
+    console.error('Error listing blocked tags:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list blocked tags',
+      message: error.message
+    });
+  }
+});
+
+// POST /v1/moderation/tags/blocked - Blocklist a tag (moderators and admins)
+app.post('/v1/moderation/tags/blocked', authenticateUser, staffGuard, async (req, res) => {
+  try {
+    const { tag, reason = '' } = req.body;
+    const [normalizedTag] = normalizeTags([tag]);
+
+    if (!normalizedTag) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'A valid tag is required'
+      });
+    }
+
+    const blockedRef = db.collection('blockedTags').doc(normalizedTag);
+    const previousDoc = await blockedRef.get();
+    const blockedData = {
+      reason: String(reason).trim(),
+      blockedBy: req.user.uid,
+      createdAt: new Date()
+    };
+    await blockedRef.set(blockedData);
+    await logAdminAction(req.user.uid, 'blockTag', null, null, {
+      targetType: 'tag',
+      targetId: normalizedTag,
+      before: previousDoc.exists ? previousDoc.data() : null,
+      after: blockedData
+    });
+
+    // Drop cached results so the change applies immediately
+    blockedTagsCache = { tags: null, expiresAt: 0 };
+    trendingTagsCache.clear();
+
+    res.status(201).json({
+      success: true,
+      data: serializeTimestamps({ tag: normalizedTag, ...blockedData })
+    });
+
+  } catch (error) {
+    console.error('Error blocking tag:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to block tag',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /v1/moderation/tags/blocked/:tag - Remove a tag from the blocklist (moderators and admins)
+app.delete('/v1/moderation/tags/blocked/:tag', authenticateUser, staffGuard, async (req, res) => {
+  try {
+    const [normalizedTag] = normalizeTags([req.params.tag]);
+    const blockedRef = normalizedTag ? db.collection('blockedTags').doc(normalizedTag) : null;
+    const blockedDoc = blockedRef ? await blockedRef.get() : null;
+
+    if (!blockedDoc || !blockedDoc.exists) {
+      return res.status(404).json({
+        error: 'Tag not blocked'
+      });
+    }
+
+    await blockedRef.delete();
+    await logAdminAction(req.user.uid, 'unblockTag', null, null, {
+      targetType: 'tag',
+      targetId: normalizedTag,
+      before: blockedDoc.data(),
+      after: null
+    });
+
+    blockedTagsCache = { tags: null, expiresAt: 0 };
+    trendingTagsCache.clear();
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Tag unblocked successfully'
+      }
+    });
+
+  } catch (error) {
+    console.error('Error unblocking tag:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to unblock tag',
+      message: error.message
+    });
+  }
+});
+
+// ========== UPLOADS API ==========
+
+// Files are held in memory only long enough to validate and re-encode them
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_BYTES, files: MAX_IMAGES_PER_UPLOAD },
+  fileFilter: (req, file, cb) => {
+    if (!Object.values(IMAGE_FORMATS).includes(file.mimetype)) {
+      return cb(new Error(`Unsupported image type. Allowed: ${Object.values(IMAGE_FORMATS).join(', ')}`));
+    }
+    cb(null, true);
+  }
+}).array('images', MAX_IMAGES_PER_UPLOAD);
+
+// Turn multer errors (size, count, type) into validation responses
+const parseImageUpload = (req, res, next) => {
+  imageUpload(req, res, (error) => {
+    if (!error) return next();
+
+    const messages = {
+      LIMIT_FILE_SIZE: `Images must be ${MAX_IMAGE_BYTES / (1024 * 1024)}MB or smaller`,
+      LIMIT_FILE_COUNT: `Upload at most ${MAX_IMAGES_PER_UPLOAD} images at a time`,
+      LIMIT_UNEXPECTED_FILE: `Send files in the "images" field (at most ${MAX_IMAGES_PER_UPLOAD})`
+    };
+    res.status(400).json({
+      error: 'Validation failed',
+      message: messages[error.code] || error.message
+    });
+  });
+};
+
+// POST /v1/uploads/images - Upload images (multipart field "images"), returns asset ids for posts
+app.post('/v1/uploads/images', authenticateUser, parseImageUpload, async (req, res) => {
+  try {
+    const files = req.files || [];
+    if (files.length === 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'At least one image is required in the "images" field'
+      });
+    }
+
+    // Process every file before storing any, so one bad file rejects the whole upload
+    const processed = [];
+    for (const file of files) {
+      processed.push(await processImageUpload(file.buffer));
+    }
+
+    const now = new Date();
+    const batch = db.batch();
+    const assets = [];
+    const savedKeys = [];
+    try {
+      for (const image of processed) {
+        const assetRef = db.collection('assets').doc();
+        const variants = {};
+        for (const [variant, output] of Object.entries(image)) {
+          const key = `images/${assetRef.id}/${variant}.${output.extension}`;
+          await storage.save(key, output.buffer, output.contentType);
+          savedKeys.push(key);
+          variants[variant] = {
+            key,
+            contentType: output.contentType,
+            width: output.width,
+            height: output.height,
+            size: output.buffer.length
+          };
+        }
+
+        const assetData = {
+          ownerId: req.user.uid,
+          type: 'image',
+          storageBackend: storage.backend,
+          variants,
+          createdAt: now
+        };
+        batch.set(assetRef, assetData);
+        assets.push(shapeImageAsset(assetRef.id, assetData));
+      }
+      await batch.commit();
+    } catch (error) {
+      // Without asset docs the stored files are unreachable, so remove them
+      await Promise.allSettled(savedKeys.map(key => storage.remove(key)));
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      data: { assets }
+    });
+
+  } catch (error) {
+    if (error.message === 'Unsupported image type') {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: `Unsupported image type. Allowed: ${Object.values(IMAGE_FORMATS).join(', ')}`
+      });
+    }
+    if (error.message === 'Image dimensions too large' || /pixel limit/i.test(error.message)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: `Images can have at most ${MAX_IMAGE_INPUT_PIXELS / 1000000} megapixels`
+      });
+    }
+    console.error('Error uploading images:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to upload images',
+      message: error.message
+    });
+  }
+});
+
+// GET /v1/assets/:assetId/:variant - Serve an uploaded image ("original" or "thumbnail")
+app.get('/v1/assets/:assetId/:variant', async (req, res) => {
+  try {
+    const { assetId, variant } = req.params;
+    const valid = ASSET_ID_PATTERN.test(assetId) && ['original', 'thumbnail'].includes(variant);
+    const assetDoc = valid ? await db.collection('assets').doc(assetId).get() : null;
+    const stored = assetDoc && assetDoc.exists ? assetDoc.data().variants[variant] : null;
+
+    // Once an image is attached to posts, it's only served while one of them is visible
+    // (images not yet attached to a post are reachable only by their unguessable id)
+    let visible = Boolean(stored);
+    if (visible) {
+      const postsSnapshot = await db.collection('posts').where('images', 'array-contains', assetId).get();
+      visible = postsSnapshot.empty || postsSnapshot.docs.some(doc => doc.get('moderationStatus') === 'approved' && !doc.get('deletedAt'));
+    }
+    const buffer = visible ? await storage.read(stored.key) : null;
+
+    if (!buffer) {
+      return res.status(404).json({
+        error: 'Asset not found'
+      });
+    }
+
+    // Asset contents never change, but visibility can, so caches must recheck within the hour
+    res.set('Content-Type', stored.contentType);
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.send(buffer);
+
+  } catch (error) {
+    console.error('Error serving asset:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to serve asset',
+      message: error.message
+    });
+  }
+});
+
+// ========== ADMIN MANAGEMENT API ==========
+
+// GET /v1/admin/admins - List all current admin users
+app.get('/v1/admin/admins', authenticateUser, adminGuard, async (req, res) => {
+  try {
+    const admins = [];
+    
+    // Get all admins from Firestore collection
+    const adminsSnapshot = await db.collection('admins').get();
+    for (const doc of adminsSnapshot.docs) {
+      const adminData = doc.data();
+      admins.push({
+        uid: adminData.uid,
+        email: adminData.email,
+        addedBy: adminData.addedBy,
+        addedAt: adminData.addedAt,
+        role: adminData.role,
+        source: 'collection'
+      });
+    }
+    
+    // Add bootstrap admins if they're not already in the collection
+    for (const email of ADMIN_EMAILS) {
+      const existingAdmin = admins.find(admin => admin.email === email);
+      if (!existingAdmin) {
+        admins.push({
+          uid: null, // Bootstrap admins might not have UIDs
+          email,
+          addedBy: 'system',
+          addedAt: null,
+          role: 'admin',
+          source: 'bootstrap'
+        });
+      }
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        admins: admins.sort((a, b) => {
+          const aTime = a.addedAt ? (a.addedAt.toDate ? a.addedAt.toDate().getTime() : a.addedAt.getTime()) : 0;
+          const bTime = b.addedAt ? (b.addedAt.toDate ? b.addedAt.toDate().getTime() : b.addedAt.getTime()) : 0;
+          return aTime - bTime;
+        })
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error listing admins:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list admins',
+      message: error.message
+    });
+  }
+});
+
+// POST /v1/admin/admins/promote - Promote user to admin
+app.post('/v1/admin/admins/promote', authenticateUser, adminGuard, rateLimitAdminActions, async (req, res) => {
+  try {
+    const { email } = req.body;
+    
+    if (!email || !email.includes('@')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid email',
+        message: 'Valid email address is required'
+      });
+    }
+    
+    // Look up user by email using Firebase Admin SDK
+    let targetUser;
+    try {
+      targetUser = await admin.auth().getUserByEmail(email);
+    } catch (error) {
+      if (error.code === 'auth/user-not-found') {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found',
+          message: 'No user found with this email address'
+        });
+      }
+      throw error;
+    }
+    
+    // Check if already an admin
+    const existingAdmin = await db.collection('admins').doc(targetUser.uid).get();
+    if (existingAdmin.exists || ADMIN_EMAILS.includes(email)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Already admin',
+        message: 'User is already an administrator'
+      });
+    }
+    
+    // Set Firebase custom claims (preserve existing claims)
+    const existingUser = await admin.auth().getUser(targetUser.uid);
+    const existingClaims = existingUser.customClaims || {};
+    await admin.auth().setCustomUserClaims(targetUser.uid, { ...existingClaims, role: 'admin' });
+    
+    // Add to admins collection
+    const adminData = {
+      uid: targetUser.uid,
+      email: targetUser.email,
+      addedBy: req.user.uid,
+      addedAt: new Date(),
+      role: 'admin'
+    };
+    
+    await db.collection('admins').doc(targetUser.uid).set(adminData);
+    
+    // Audit log
+    await logAdminAction(req.user.uid, 'promoteAdmin', targetUser.uid, targetUser.email, {
+      targetType: 'user',
+      targetId: targetUser.uid,
+      before: { role: existingClaims.role || null },
+      after: { role: 'admin' }
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'User promoted to admin successfully',
+      data: {
+        uid: targetUser.uid,
+        email: targetUser.email,
+        addedBy: req.user.uid,
+        addedAt: adminData.addedAt
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error promoting admin:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to promote admin',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /v1/admin/admins/:uid - Remove admin privileges
+app.delete('/v1/admin/admins/:uid', authenticateUser, adminGuard, rateLimitAdminActions, async (req, res) => {
+  try {
+    const { uid } = req.params;
+    
+    if (!uid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid UID',
+        message: 'User UID is required'
+      });
+    }
+    
+    // Prevent self-removal
+    if (uid === req.user.uid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot remove self',
+        message: 'You cannot remove your own admin privileges'
+      });
+    }
+    
+    // Get user info
+    let targetUser;
+    try {
+      targetUser = await admin.auth().getUser(uid);
+    } catch (error) {
+      if (error.code === 'auth/user-not-found') {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found',
+          message: 'No user found with this UID'
+        });
+      }
+      throw error;
+    }
+    
+    // Check if user is a bootstrap admin (cannot be removed)
+    if (ADMIN_EMAILS.includes(targetUser.email)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot remove bootstrap admin',
+        message: 'Bootstrap administrators cannot be removed via API'
+      });
+    }
+    
+    // Remove admin role from custom claims (preserve other claims)
+    const existingUser = await admin.auth().getUser(uid);
+    const existingClaims = existingUser.customClaims || {};
+    const { role, ...remainingClaims } = existingClaims;
+    await admin.auth().setCustomUserClaims(uid, remainingClaims);
+    
+    // Remove from admins collection
+    await db.collection('admins').doc(uid).delete();
+    
+    // Audit log
+    await logAdminAction(req.user.uid, 'removeAdmin', uid, targetUser.email, {
+      targetType: 'user',
+      targetId: uid,
+      before: { role: role || null },
+      after: { role: null }
+    });
+    
+    res.json({
+      success: true,
+      message: 'Admin privileges removed successfully',
+      data: {
+        uid: uid,
+        email: targetUser.email,
+        removedBy: req.user.uid,
+        removedAt: new Date()
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error removing admin:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove admin',
+      message: error.message
+    });
+  }
+});
+
+// GET /v1/admin/moderators - List all current moderators
+app.get('/v1/admin/moderators', authenticateUser, adminGuard, async (req, res) => {
+  try {
+    // users.role is what staffGuard checks; the moderators collection holds who granted it and when
+    const usersSnapshot = await db.collection('users').where('role', '==', 'moderator').get();
+    const moderatorRefs = usersSnapshot.docs.map(doc => db.collection('moderators').doc(doc.id));
+    const moderatorDocs = moderatorRefs.length > 0 ? await db.getAll(...moderatorRefs) : [];
+
+    const moderators = usersSnapshot.docs.map((doc, i) => {
+      const grant = moderatorDocs[i].exists ? moderatorDocs[i].data() : {};
+      return {
+        uid: doc.id,
+        email: grant.email || doc.data().email || null,
+        name: doc.data().name || null,
+        addedBy: grant.addedBy || null,
+        addedAt: grant.addedAt || null,
+        role: 'moderator',
+        source: moderatorDocs[i].exists ? 'collection' : 'manual'
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        moderators: moderators.sort((a, b) => {
+          const aTime = a.addedAt ? (a.addedAt.toDate ? a.addedAt.toDate().getTime() : a.addedAt.getTime()) : 0;
+          const bTime = b.addedAt ? (b.addedAt.toDate ? b.addedAt.toDate().getTime() : b.addedAt.getTime()) : 0;
+          return aTime - bTime;
+        })
+      }
+    });
+
+  } catch (error) {
+    console.error('Error listing moderators:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list moderators',
+      message: error.message
+    });
+  }
+});
+
+// POST /v1/admin/moderators/promote - Grant the moderator role
+app.post('/v1/admin/moderators/promote', authenticateUser, adminGuard, rateLimitAdminActions, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || !email.includes('@')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid email',
+        message: 'Valid email address is required'
+      });
+    }
+
+    // Look up user by email using Firebase Admin SDK
+    let targetUser;
+    try {
+      targetUser = await admin.auth().getUserByEmail(email);
+    } catch (error) {
+      if (error.code === 'auth/user-not-found') {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found',
+          message: 'No user found with this email address'
+        });
+      }
+      throw error;
+    }
+
+    const existingClaims = targetUser.customClaims || {};
+
+    // Admins already have every moderator permission; don't overwrite their role claim
+    const existingAdmin = await db.collection('admins').doc(targetUser.uid).get();
+    if (existingAdmin.exists || ADMIN_EMAILS.includes(targetUser.email) || existingClaims.role === 'admin') {
+      return res.status(400).json({
+        success: false,
+        error: 'Already admin',
+        message: 'User is already an administrator'
+      });
+    }
+
+    const userDoc = await db.collection('users').doc(targetUser.uid).get();
+    if (userDoc.exists && userDoc.data().role === 'moderator') {
+      return res.status(400).json({
+        success: false,
+        error: 'Already moderator',
+        message: 'User is already a moderator'
+      });
+    }
+
+    // Set Firebase custom claims (preserve existing claims)
+    await admin.auth().setCustomUserClaims(targetUser.uid, { ...existingClaims, role: 'moderator' });
+
+    const moderatorData = {
+      uid: targetUser.uid,
+      email: targetUser.email,
+      addedBy: req.user.uid,
+      addedAt: new Date(),
+      role: 'moderator'
+    };
+
+    const batch = db.batch();
+    batch.set(db.collection('moderators').doc(targetUser.uid), moderatorData);
+    batch.set(db.collection('users').doc(targetUser.uid), { role: 'moderator' }, { merge: true });
+    await batch.commit();
+
+    // Audit log
+    await logAdminAction(req.user.uid, 'promoteModerator', targetUser.uid, targetUser.email, {
+      targetType: 'user',
+      targetId: targetUser.uid,
+      before: { role: userDoc.exists ? userDoc.data().role || 'user' : 'user' },
+      after: { role: 'moderator' }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'User promoted to moderator successfully',
+      data: {
+        uid: targetUser.uid,
+        email: targetUser.email,
+        addedBy: req.user.uid,
+        addedAt: moderatorData.addedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Error promoting moderator:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to promote moderator',
+      message: error.message
     });
   }
 });
 
-// POST /v1/posts/:id/like - Toggle like on post
-app.post('/v1/posts/:id/like', authenticateUser, async (req, res) => {
+// DELETE /v1/admin/moderators/:uid - Revoke the moderator role
+app.delete('/v1/admin/moderators/:uid', authenticateUser, adminGuard, rateLimitAdminActions, async (req, res) => {
   try {
-    const postId = req.params.id;
-    const userId = req.user.uid;
+    const { uid } = req.params;
 
-    // Use transaction to ensure atomicity
-    const result = await db.runTransaction(async (transaction) => {
-      const postRef = db.collection('posts').doc(postId);
-      const likeRef = db.collection('posts').doc(postId).collection('likes').doc(userId);
-      
-      const [postDoc, likeDoc] = await transaction.getAll(postRef, likeRef);
-      
-      if (!postDoc.exists) {
-        throw new Error('Post not found');
+    // Get user info
+    let targetUser;
+    try {
+      targetUser = await admin.auth().getUser(uid);
+    } catch (error) {
+      if (error.code === 'auth/user-not-found') {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found',
+          message: 'No user found with this UID'
+        });
       }
+      throw error;
+    }
+
+    const existingClaims = targetUser.customClaims || {};
+    const userDoc = await db.collection('users').doc(uid).get();
+    const isModerator = existingClaims.role === 'moderator' || (userDoc.exists && userDoc.data().role === 'moderator');
+    if (!isModerator) {
+      return res.status(400).json({
+        success: false,
+        error: 'Not a moderator',
+        message: 'User does not have the moderator role'
+      });
+    }
 
-      const isLiked = likeDoc.exists;
-      const currentLikes = postDoc.data().likes || 0;
+    // Remove the moderator role from custom claims (preserve other claims, never touch an admin claim)
+    if (existingClaims.role === 'moderator') {
+      const { role, ...remainingClaims } = existingClaims;
+      await admin.auth().setCustomUserClaims(uid, remainingClaims);
+    }
 
-      if (isLiked) {
-        // Unlike: remove like document and decrement count
-        transaction.delete(likeRef);
-        transaction.update(postRef, { 
-          likes: Math.max(0, currentLikes - 1),
-          updatedAt: new Date()
-        });
-        return { liked: false, likes: Math.max(0, currentLikes - 1) };
-      } else {
-        // Like: create like document and increment count
-        transaction.set(likeRef, {
-          userId,
-          createdAt: new Date()
-        });
-        transaction.update(postRef, { 
-          likes: currentLikes + 1,
-          updatedAt: new Date()
-        });
-        return { liked: true, likes: currentLikes + 1 };
-      }
+    const batch = db.batch();
+    batch.delete(db.collection('moderators').doc(uid));
+    batch.set(db.collection('users').doc(uid), { role: 'user' }, { merge: true });
+    await batch.commit();
+
+    // Sign the demoted moderator out everywhere so no token carrying the old claim gets refreshed
+    await admin.auth().revokeRefreshTokens(uid);
+
+    // Audit log
+    await logAdminAction(req.user.uid, 'removeModerator', uid, targetUser.email, {
+      targetType: 'user',
+      targetId: uid,
+      before: { role: 'moderator' },
+      after: { role: 'user' }
     });
 
     res.json({
       success: true,
-      data: result
+      message: 'Moderator role removed successfully',
+      data: {
+        uid: uid,
+        email: targetUser.email,
+        removedBy: req.user.uid,
+        removedAt: new Date()
+      }
     });
 
   } catch (error) {
-    console.error('Error toggling post like:', error);
-    res.status(error.message === 'Post not found' ? 404 : 500).json({
+    console.error('Error removing moderator:', error);
+    res.status(500).json({
       success: false,
-      error: 'Failed to toggle like',
+      error: 'Failed to remove moderator',
       message: error.message
     });
   }
 });
 
-// GET /v1/posts/:id - Get single post (increments view count)
-app.get('/v1/posts/:id', optionalAuth, async (req, res) => {
+// CSV export of the audit log; before/after snapshots are embedded as JSON
+const AUDIT_CSV_COLUMNS = ['id', 'timestamp', 'actorUid', 'action', 'targetType', 'targetId', 'targetUid', 'targetEmail', 'before', 'after'];
+
+// Quote a CSV field, neutralising leading formula characters so spreadsheets don't evaluate them
+const toCsvField = (value) => {
+  let text = value === null || value === undefined ? '' : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+// GET /v1/admin/audit - Query the audit log (admins only), as JSON or CSV
+app.get('/v1/admin/audit', authenticateUser, adminGuard, async (req, res) => {
   try {
-    const postId = req.params.id;
-    const userId = req.user?.uid;
+    const { actor, action, target, targetId, from, to, format = 'json', limit, cursor } = req.query;
 
-    const postDoc = await db.collection('posts').doc(postId).get();
-    
-    if (!postDoc.exists) {
-      return res.status(404).json({
-        success: false,
-        error: 'Post not found'
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'format must be "json" or "csv"'
       });
     }
 
-    const post = { id: postDoc.id, ...postDoc.data() };
+    // CSV exports allow bigger pages; follow the X-Next-Cursor header for the rest
+    const maxLimit = format === 'csv' ? 1000 : 100;
+    const limitNum = Math.min(parseInt(limit, 10) || (format === 'csv' ? maxLimit : 50), maxLimit);
 
-    // View count deduplication (10-minute window per user)
-    if (userId) {
-      const now = new Date();
-      const tenMinutesAgo = new Date(now.getTime() - 10 * 60 * 1000);
-      const bucket = Math.floor(now.getTime() / (10 * 60 * 1000)); // 10-minute buckets
-      
-      const viewRef = db.collection('posts').doc(postId)
-        .collection('postViews').doc(`${userId}_${bucket}`);
-      
-      const viewDoc = await viewRef.get();
-      if (!viewDoc.exists) {
-        // Record view and increment counter atomically
-        await db.runTransaction(async (transaction) => {
-          transaction.set(viewRef, {
-            userId,
-            viewedAt: now,
-            bucket
-          });
-          transaction.update(db.collection('posts').doc(postId), {
-            views: admin.firestore.FieldValue.increment(1)
-          });
-        });
-        // Refresh post data to get updated view count
-        const updatedPost = await db.collection('posts').doc(postId).get();
-        post.views = updatedPost.data().views;
-      }
-    }
-
-    // Get author info
-    if (post.authorId) {
-      const authorDoc = await db.collection('users').doc(post.authorId).get();
-      if (authorDoc.exists) {
-        const authorData = authorDoc.data();
-        post.author = {
-          id: post.authorId,
-          name: post.isAnonymous ? 'Anonymous' : (authorData.name || 'User'),
-          avatarUrl: post.isAnonymous ? null : (authorData.avatarUrl || null),
-          verified: post.isAnonymous ? false : (authorData.verified || false)
-        };
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'from and to must be valid ISO 8601 dates'
+      });
+    }
+    if (fromDate && toDate && fromDate > toDate) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'from must be before to'
+      });
+    }
+
+    const startAfter = cursor ? decodeCursor(cursor, ['timestamp']) : null;
+    if (cursor && !startAfter) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Invalid cursor'
+      });
+    }
+
+    let query = db.collection('adminAudit');
+    if (actor) {
+      query = query.where('actorUid', '==', actor);
+    }
+    if (action) {
+      query = query.where('action', '==', action);
+    }
+    if (target) {
+      query = query.where('targetUid', '==', target);
+    }
+    if (targetId) {
+      query = query.where('targetId', '==', targetId);
+    }
+    if (fromDate) {
+      query = query.where('timestamp', '>=', fromDate);
+    }
+    if (toDate) {
+      query = query.where('timestamp', '<=', toDate);
+    }
+
+    query = paginateQuery(query, [['timestamp', 'desc']], { startAfter, offset: 0, limit: limitNum });
+
+    const snapshot = await query.get();
+    const hasMore = snapshot.docs.length > limitNum;
+    const docsToProcess = hasMore ? snapshot.docs.slice(0, limitNum) : snapshot.docs;
+    const nextCursor = hasMore ? encodeCursor(docsToProcess[docsToProcess.length - 1], ['timestamp']) : null;
+
+    // Entries written before before/after tracking have no snapshots
+    const entries = docsToProcess.map(doc => serializeTimestamps({
+      id: doc.id,
+      targetType: null,
+      targetId: null,
+      before: null,
+      after: null,
+      ...doc.data()
+    }));
+
+    if (format === 'csv') {
+      const rows = entries.map(entry => AUDIT_CSV_COLUMNS.map(column => toCsvField(entry[column])).join(','));
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.csv"`);
+      if (nextCursor) {
+        res.set('X-Next-Cursor', nextCursor);
       }
+      return res.send([AUDIT_CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n');
     }
 
-    // Convert timestamps
-    if (post.createdAt && post.createdAt.toDate) {
-      post.createdAt = post.createdAt.toDate().toISOString();
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          hasMore,
+          totalShown: entries.length,
+          nextCursor
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch audit log',
+      message: error.message
+    });
+  }
+});
+
+// POST /v1/admin/backfills/:name - Fill in fields that content created before a change is missing
+app.post('/v1/admin/backfills/:name', authenticateUser, adminGuard, rateLimitAdminActions, async (req, res) => {
+  try {
+    const { name } = req.params;
+    if (!Object.prototype.hasOwnProperty.call(BACKFILLS, name)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: `Unknown backfill. Available: ${Object.keys(BACKFILLS).join(', ')}`
+      });
     }
-    if (post.updatedAt && post.updatedAt.toDate) {
-      post.updatedAt = post.updatedAt.toDate().toISOString();
+
+    const result = await runBackfill(name);
+    await logAdminAction(req.user.uid, 'runBackfill', null, null, {
+      targetType: 'backfill',
+      targetId: name,
+      after: result
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Error running backfill:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run backfill',
+      message: error.message
+    });
+  }
+});
+
+// POST /v1/admin/jobs/view-retention - Run the post view retention job now (it also runs daily)
+app.post('/v1/admin/jobs/view-retention', authenticateUser, adminGuard, rateLimitAdminActions, async (req, res) => {
+  try {
+    const result = await runViewRetention();
+    if (!result) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'View retention is already running'
+      });
     }
 
-    delete post.authorId;
+    await logAdminAction(req.user.uid, 'runViewRetention', null, null, {
+      targetType: 'job',
+      targetId: 'viewRetention',
+      after: result
+    });
 
     res.json({
       success: true,
-      data: { post }
+      data: result
     });
 
   } catch (error) {
-    console.error('Error fetching post:', error);
+    console.error('Error running view retention:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch post',
+      error: 'Failed to run view retention',
       message: error.message
     });
   }
 });
 
-// ========== COMMENTS API ==========
+// ========== MODERATION API ==========
 
-// GET /v1/posts/:id/comments - List comments for a post
-app.get('/v1/posts/:postId/comments', optionalAuth, async (req, res) => {
+const REPORT_REASONS = ['spam', 'harassment', 'inappropriate', 'misinformation', 'other'];
+const REPORT_STATUSES = ['pending', 'approved', 'reviewed']; // as written by the review route
+const QUEUE_SANCTION_HISTORY_LIMIT = 10;
+
+// Document reference for the content a report points at (comments need the postId stored on the report)
+const reportContentRef = (report) => {
+  if (report.contentType === 'post') {
+    return db.collection('posts').doc(report.contentId);
+  }
+  if (report.contentType === 'comment' && report.postId) {
+    return db.collection('posts').doc(report.postId).collection('comments').doc(report.contentId);
+  }
+  return null;
+};
+
+// POST /v1/moderation/report - Report content
+app.post('/v1/moderation/report', authenticateUser, async (req, res) => {
   try {
-    const { postId } = req.params;
-    const { page = '1', limit = '20' } = req.query;
+    const { contentId, contentType, reason, description = '' } = req.body;
 
-    const pageNum = parseInt(page, 10);
-    const limitNum = Math.min(parseInt(limit, 10), 50);
-    const offset = (pageNum - 1) * limitNum;
+    if (!contentId || !contentType || !reason) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'contentId, contentType, and reason are required'
+      });
+    }
 
-    // Get comments (newest first)
-    // Note: moderationStatus filter removed to avoid index requirement
-    // Once Firestore index is deployed, add back: .where('moderationStatus', '==', 'approved')
-    const query = db.collection('posts').doc(postId)
-      .collection('comments')
-      .orderBy('createdAt', 'desc')
-      .offset(offset)
-      .limit(limitNum + 1);
+    if (!['post', 'comment'].includes(contentType)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'contentType must be "post" or "comment"'
+      });
+    }
 
-    const snapshot = await query.get();
-    const comments = [];
-    const hasMore = snapshot.docs.length > limitNum;
+    if (!REPORT_REASONS.includes(reason)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: `reason must be one of: ${REPORT_REASONS.join(', ')}`
+      });
+    }
 
-    const docsToProcess = hasMore ? snapshot.docs.slice(0, limitNum) : snapshot.docs;
-    
-    for (const doc of docsToProcess) {
-      const comment = { id: doc.id, ...doc.data() };
-      
-      // Get author info
-      if (comment.authorId) {
-        const authorDoc = await db.collection('users').doc(comment.authorId).get();
-        if (authorDoc.exists) {
-          const authorData = authorDoc.data();
-          comment.author = {
-            id: comment.authorId,
-            name: comment.isAnonymous ? 'Anonymous' : (authorData.name || 'User'),
-            avatarUrl: comment.isAnonymous ? null : (authorData.avatarUrl || null),
-            verified: comment.isAnonymous ? false : (authorData.verified || false)
-          };
-        }
+    // Comments live under their post, so the post is needed to find (and auto-hide) them
+    if (contentType === 'comment' && !req.body.postId) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'postId is required when reporting a comment'
+      });
+    }
+
+    const rules = await getModerationRules();
+    const now = new Date();
+
+    // Add the report to the content's queue entry; enough distinct reporters hide the content until reviewed
+    const result = await db.runTransaction(async (transaction) => {
+      const aggregateRef = reportAggregateRef(contentType, contentId);
+      const reporterRef = aggregateRef.collection('reporters').doc(req.user.uid);
+      const postId = contentType === 'post' ? contentId : String(req.body.postId);
+      const contentRef = reportContentRef({ contentType, contentId, postId });
+      const postRef = db.collection('posts').doc(postId);
+
+      const [aggregateDoc, reporterDoc, contentDoc, postDoc] = await transaction.getAll(
+        aggregateRef, reporterRef, contentRef, postRef
+      );
+      if (!contentDoc.exists || contentDoc.data().deletedAt) {
+        throw new Error('Content not found');
+      }
+      // Held content is already queued, and reopening a removed item's entry would wipe the review
+      // (and appeal) that removed it
+      if (contentDoc.data().moderationStatus !== 'approved') {
+        throw new Error('Content not reportable');
+      }
+
+      const category = postDoc.exists ? postDoc.data().category : null;
+      const isOpen = aggregateDoc.exists && aggregateDoc.data().status === 'pending';
+      const entry = isOpen
+        ? aggregateDoc.data()
+        : openReportFields({ contentType, contentId, postId, category, now });
+
+      // Reporters from an earlier, already reviewed round may report again
+      if (isOpen && reporterDoc.exists && reporterDoc.data().createdAt.toMillis() >= entry.createdAt.toMillis()) {
+        throw new Error('Duplicate report');
+      }
+
+      const reportCount = entry.reportCount + 1;
+      const reachedThreshold = rules.autoHideReportThreshold > 0 && reportCount >= rules.autoHideReportThreshold;
+      const autoHide = reachedThreshold && contentDoc.data().moderationStatus === 'approved';
+
+      transaction.set(aggregateRef, {
+        ...entry,
+        category: category || entry.category || null,
+        reason: entry.reason || reason,
+        reasons: [...new Set([...entry.reasons, reason])],
+        reasonCounts: { ...entry.reasonCounts, [reason]: (entry.reasonCounts[reason] || 0) + 1 },
+        reportCount,
+        lastReportedAt: now,
+        ...(autoHide ? { autoHidden: true, autoHiddenAt: now } : {})
+      });
+      transaction.set(reporterRef, {
+        reason,
+        description: description.trim(),
+        reporterName: req.user.name,
+        createdAt: now
+      });
+      if (autoHide) {
+        transaction.update(contentRef, {
+          moderationStatus: 'pending',
+          updatedAt: now
+        });
+      }
+
+      return { reportId: aggregateRef.id, reportCount };
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        reportId: result.reportId,
+        reportCount: result.reportCount,
+        message: 'Report submitted successfully'
       }
+    });
+
+  } catch (error) {
+    if (error.message === 'Duplicate report') {
+      return res.status(409).json({
+        error: 'Duplicate report',
+        message: 'You have already reported this content'
+      });
+    }
+    if (error.message === 'Content not found') {
+      return res.status(404).json({
+        error: 'Content not found'
+      });
+    }
+    if (error.message === 'Content not reportable') {
+      return res.status(409).json({
+        error: 'Content not reportable',
+        message: 'This content is already under review or has been removed'
+      });
+    }
+    console.error('Error creating report:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to submit report',
+      message: error.message
+    });
+  }
+});
+
+// GET /v1/admin/moderation/rules - Current auto-moderation rules (admins only)
+app.get('/v1/admin/moderation/rules', authenticateUser, adminGuard, async (req, res) => {
+  try {
+    const rulesDoc = await db.collection('moderationConfig').doc('autoModeration').get();
 
-      // Convert timestamps
-      if (comment.createdAt && comment.createdAt.toDate) {
-        comment.createdAt = comment.createdAt.toDate().toISOString();
+    res.json({
+      success: true,
+      data: {
+        rules: serializeTimestamps({ ...DEFAULT_MODERATION_RULES, ...(rulesDoc.exists ? rulesDoc.data() : {}) })
       }
+    });
+
+  } catch (error) {
+    console.error('Error fetching moderation rules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch moderation rules',
+      message: error.message
+    });
+  }
+});
 
-      delete comment.authorId;
-      comments.push(comment);
+// PUT /v1/admin/moderation/rules - Replace the auto-moderation rules (admins only)
+app.put('/v1/admin/moderation/rules', authenticateUser, adminGuard, rateLimitAdminActions, async (req, res) => {
+  try {
+    const { error, value } = validateModerationRules(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: error
+      });
     }
 
+    const rulesRef = db.collection('moderationConfig').doc('autoModeration');
+    const previousDoc = await rulesRef.get();
+    const rules = {
+      ...value,
+      updatedBy: req.user.uid,
+      updatedAt: new Date()
+    };
+    await rulesRef.set(rules);
+    await logAdminAction(req.user.uid, 'updateModerationRules', null, null, {
+      targetType: 'moderationRules',
+      targetId: 'autoModeration',
+      before: previousDoc.exists ? previousDoc.data() : DEFAULT_MODERATION_RULES,
+      after: rules
+    });
+
+    // Apply the new rules immediately
+    moderationRulesCache = { rules: null, matchers: null, expiresAt: 0 };
+
     res.json({
       success: true,
-      data: {
-        comments,
-        pagination: {
-          currentPage: pageNum,
-          hasMore,
-          totalShown: comments.length
-        }
-      }
+      data: { rules: serializeTimestamps(rules) }
     });
 
   } catch (error) {
-    console.error('Error fetching comments:', error);
+    console.error('Error updating moderation rules:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch comments',
+      error: 'Failed to update moderation rules',
       message: error.message
     });
   }
 });
 
-// POST /v1/posts/:id/comments - Create comment on post
-app.post('/v1/posts/:postId/comments', authenticateUser, async (req, res) => {
+// Snapshot of reported content for the queue (staff see everything, including anonymous authors)
+const snapshotReportedContent = (report, doc) => {
+  if (!doc || !doc.exists) return null;
+  const data = doc.data();
+  return serializeTimestamps({
+    id: doc.id,
+    type: report.contentType,
+    postId: report.contentType === 'comment' ? report.postId : doc.id,
+    content: data.content,
+    ...(report.contentType === 'post'
+      ? { category: data.category, tags: data.tags || [], images: data.images || [], comments: data.comments || 0 }
+      : { parentCommentId: data.parentCommentId || null }),
+    isAnonymous: Boolean(data.isAnonymous),
+    moderationStatus: data.moderationStatus,
+    likes: data.likes || 0,
+    deleted: Boolean(data.deletedAt),
+    createdAt: data.createdAt,
+    editedAt: data.editedAt || null
+  });
+};
+
+// GET /v1/moderation/queue - Moderation queue (moderators and admins)
+// One entry per reported item with its report count, content snapshot, author and sanction history
+app.get('/v1/moderation/queue', authenticateUser, staffGuard, async (req, res) => {
   try {
-    const { postId } = req.params;
-    const { content, isAnonymous = false } = req.body;
 
-    if (!content || content.trim().length === 0) {
+    const { status = 'pending', contentType, reason, category, page = '1', limit = '20', cursor } = req.query;
+    const pageNum = parseInt(page, 10);
+    const limitNum = Math.min(parseInt(limit, 10), 50);
+    const offset = (pageNum - 1) * limitNum;
+
+    if (status !== 'all' && !REPORT_STATUSES.includes(status)) {
       return res.status(400).json({
         error: 'Validation failed',
-        message: 'Content is required'
+        message: `status must be one of: ${[...REPORT_STATUSES, 'all'].join(', ')}`
       });
     }
-
-    if (content.length > 2000) {
+    if (contentType && !['post', 'comment'].includes(contentType)) {
       return res.status(400).json({
         error: 'Validation failed',
-        message: 'Comment too long. Maximum 2000 characters.'
+        message: 'contentType must be "post" or "comment"'
+      });
+    }
+    if (reason && ![...REPORT_REASONS, 'auto_moderation'].includes(reason)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: `reason must be one of: ${[...REPORT_REASONS, 'auto_moderation'].join(', ')}`
+      });
+    }
+    if (category && !CATEGORIES.includes(category)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: `Invalid category. Must be one of: ${CATEGORIES.join(', ')}`
       });
     }
 
-    // Check if post exists
-    const postRef = db.collection('posts').doc(postId);
-    const postDoc = await postRef.get();
-    
-    if (!postDoc.exists) {
-      return res.status(404).json({
-        error: 'Post not found'
+    const startAfter = cursor ? decodeCursor(cursor, ['createdAt']) : null;
+    if (cursor && !startAfter) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Invalid cursor'
       });
     }
 
-    const now = new Date();
-    const commentData = {
-      content: content.trim(),
-      authorId: req.user.uid,
-      isAnonymous: Boolean(isAnonymous),
-      createdAt: now,
-      likes: 0,
-      moderationStatus: 'approved' // Set default moderation status
-    };
+    // reason and category filters only match aggregated entries (reports filed before aggregation lack them)
+    let query = db.collection('moderationReports');
+    if (status !== 'all') {
+      query = query.where('status', '==', status);
+    }
+    if (contentType) {
+      query = query.where('contentType', '==', contentType);
+    }
+    if (reason) {
+      query = query.where('reasons', 'array-contains', reason);
+    }
+    if (category) {
+      query = query.where('category', '==', category);
+    }
 
-    // Use transaction to create comment and increment post comment count atomically
-    const result = await db.runTransaction(async (transaction) => {
-      const commentRef = db.collection('posts').doc(postId).collection('comments').doc();
-      
-      transaction.set(commentRef, commentData);
-      transaction.update(postRef, {
-        comments: admin.firestore.FieldValue.increment(1),
-        updatedAt: now
-      });
+    query = paginateQuery(query, [['createdAt', 'desc']], { startAfter, offset, limit: limitNum });
 
-      return {
-        id: commentRef.id,
-        ...commentData
-      };
+    const snapshot = await query.get();
+    const hasMore = snapshot.docs.length > limitNum;
+    const docsToProcess = hasMore ? snapshot.docs.slice(0, limitNum) : snapshot.docs;
+
+    const reports = docsToProcess.map((doc) => {
+      const report = serializeTimestamps({ id: doc.id, ...doc.data() });
+
+      // Reports filed before aggregation are single-reporter entries
+      report.reportCount = report.reportCount || 1;
+      report.reasons = report.reasons || (report.reason ? [report.reason] : []);
+      return report;
     });
 
-    // Format response
-    const createdComment = {
-      ...result,
-      createdAt: result.createdAt.toISOString(),
-      author: {
-        id: req.user.uid,
-        name: isAnonymous ? 'Anonymous' : req.user.name,
-        avatarUrl: isAnonymous ? null : req.user.avatarUrl,
-        verified: isAnonymous ? false : req.user.verified
-      }
-    };
+    // Batch-load the reported content, then its authors and their sanction history
+    const contentRefs = reports.map(report => reportContentRef(report));
+    const existingRefs = contentRefs.filter(Boolean);
+    const contentDocs = existingRefs.length > 0 ? await db.getAll(...existingRefs) : [];
+    const contentByPath = new Map(contentDocs.map(doc => [doc.ref.path, doc]));
 
-    delete createdComment.authorId;
+    const authorIds = [...new Set(contentDocs.filter(doc => doc.exists).map(doc => doc.data().authorId).filter(Boolean))];
+    const [profiles, sanctionSnapshots] = await Promise.all([
+      getUserProfiles(authorIds),
+      Promise.all(authorIds.map(authorId => db.collection('userSanctions')
+        .where('userId', '==', authorId)
+        .orderBy('createdAt', 'desc')
+        .limit(QUEUE_SANCTION_HISTORY_LIMIT)
+        .get()))
+    ]);
+    const sanctionsByAuthor = new Map(authorIds.map((authorId, i) => [authorId, sanctionSnapshots[i].docs.map(formatSanction)]));
 
-    res.status(201).json({
+    reports.forEach((report, i) => {
+      const contentDoc = contentRefs[i] ? contentByPath.get(contentRefs[i].path) : null;
+      const authorId = contentDoc && contentDoc.exists ? contentDoc.data().authorId || null : null;
+
+      report.content = snapshotReportedContent(report, contentDoc);
+      report.contentAuthorId = authorId; // the only place real uids are exposed
+      report.author = authorId ? shapeAuthor(authorId, profiles.get(authorId) || {}, false) : null;
+      report.priorSanctions = authorId ? sanctionsByAuthor.get(authorId) : [];
+    });
+
+    res.json({
       success: true,
-      data: { comment: createdComment }
+      data: {
+        reports,
+        pagination: {
+          currentPage: pageNum,
+          hasMore,
+          totalShown: reports.length,
+          nextCursor: hasMore ? encodeCursor(docsToProcess[docsToProcess.length - 1], ['createdAt']) : null
+        }
+      }
     });
 
   } catch (error) {
-    console.error('Error creating comment:', error);
+    console.error('Error fetching moderation queue:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to create comment',
+      error: 'Failed to fetch moderation queue',
       message: error.message
     });
   }
 });
 
-// POST /v1/posts/:postId/comments/:commentId/like - Toggle like on comment
-app.post('/v1/posts/:postId/comments/:commentId/like', authenticateUser, async (req, res) => {
+// PUT /v1/moderation/review/:reportId - Review moderation report (moderators and admins)
+app.put('/v1/moderation/review/:reportId', authenticateUser, staffGuard, async (req, res) => {
   try {
-    const { postId, commentId } = req.params;
-    const userId = req.user.uid;
 
-    const result = await db.runTransaction(async (transaction) => {
-      const commentRef = db.collection('posts').doc(postId).collection('comments').doc(commentId);
-      const likeRef = commentRef.collection('likes').doc(userId);
-      
-      const [commentDoc, likeDoc] = await transaction.getAll(commentRef, likeRef);
+    const { reportId } = req.params;
+    const { action } = req.body;
+
+    if (!['approve', 'remove', 'ban'].includes(action)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'action must be "approve", "remove", or "ban"'
+      });
+    }
+
+    // Banning also bans the content's author, which is never allowed for staff
+    if (action === 'ban') {
+      const reportDoc = await db.collection('moderationReports').doc(reportId).get();
+      const contentRef = reportDoc.exists ? reportContentRef(reportDoc.data()) : null;
+      const contentDoc = contentRef ? await contentRef.get() : null;
+      const authorIsStaff = contentDoc && contentDoc.exists && await isStaffAccount(contentDoc.data().authorId)
+        .catch(error => {
+          if (error.code === 'auth/user-not-found') return false;
+          throw error;
+        });
+      if (authorIsStaff) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'Staff accounts cannot be banned'
+        });
+      }
+    }
+
+    const review = await db.runTransaction(async (transaction) => {
+      const reportRef = db.collection('moderationReports').doc(reportId);
+      const reportDoc = await transaction.get(reportRef);
       
-      if (!commentDoc.exists) {
-        throw new Error('Comment not found');
+      if (!reportDoc.exists) {
+        throw new Error('Report not found');
       }
 
-      const isLiked = likeDoc.exists;
-      const currentLikes = commentDoc.data().likes || 0;
+      const reportData = reportDoc.data();
 
-      if (isLiked) {
-        // Unlike
-        transaction.delete(likeRef);
-        transaction.update(commentRef, { likes: Math.max(0, currentLikes - 1) });
-        return { liked: false, likes: Math.max(0, currentLikes - 1) };
-      } else {
-        // Like
-        transaction.set(likeRef, { userId, createdAt: new Date() });
-        transaction.update(commentRef, { likes: currentLikes + 1 });
-        return { liked: true, likes: currentLikes + 1 };
+      // Each report is reviewed once; a new report on the same content reopens it as pending
+      if (reportData.status !== 'pending') {
+        throw new Error('Report already reviewed');
       }
-    });
 
-    res.json({
-      success: true,
-      data: result
-    });
+      // Resolve the reported content
+      const contentRef = reportContentRef(reportData);
+      const contentDoc = contentRef ? await transaction.get(contentRef) : null;
+      const countHeldComment = action === 'approve' && reportData.contentType === 'comment' && contentDoc && contentDoc.exists
+        ? await prepareHeldCommentCount(transaction, contentRef, contentDoc.data())
+        : null;
+      
+      // Update report
+      const reportUpdate = {
+        status: action === 'approve' ? 'approved' : 'reviewed',
+        action,
+        reviewedAt: new Date(),
+        reviewedBy: req.user.uid
+      };
+      transaction.update(reportRef, reportUpdate);
 
-  } catch (error) {
-    console.error('Error toggling comment like:', error);
-    res.status(error.message === 'Comment not found' ? 404 : 500).json({
-      success: false,
-      error: 'Failed to toggle like',
-      message: error.message
-    });
-  }
-});
+      // Update target content based on action; approving releases content held for review
+      const previousStatus = contentDoc && contentDoc.exists ? contentDoc.data().moderationStatus : null;
+      let contentStatus = previousStatus;
+      if (action === 'approve' && previousStatus === 'pending') {
+        contentStatus = 'approved';
+      }
+      if ((action === 'remove' || action === 'ban') && contentDoc && contentDoc.exists) {
+        contentStatus = 'removed';
+      }
+      // An approved post's tags start counting towards trending
+      const tagCount = reportData.contentType === 'post' && contentStatus === 'approved' && previousStatus !== 'approved'
+        ? tagsToCount(contentDoc.data())
+        : null;
+      if (contentStatus !== previousStatus) {
+        transaction.update(contentRef, {
+          moderationStatus: contentStatus,
+          ...(tagCount ? { countedTags: tagCount.countedTags } : {}),
+          updatedAt: new Date()
+        });
+      }
+      if (contentStatus === 'approved' && countHeldComment) {
+        countHeldComment(new Date());
+      }
 
-// ========== ADMIN MANAGEMENT API ==========
+      return {
+        reportData,
+        addedTags: tagCount ? tagCount.added : [],
+        contentAuthorId: contentDoc && contentDoc.exists ? contentDoc.data().authorId : null,
+        before: {
+          status: reportData.status,
+          action: reportData.action || null,
+          contentModerationStatus: previousStatus
+        },
+        after: {
+          status: reportUpdate.status,
+          action,
+          contentModerationStatus: contentStatus
+        }
+      };
+    });
 
-// Helper function to log admin actions
-const logAdminAction = async (actorUid, action, targetUid = null, targetEmail = null) => {
-  try {
-    await db.collection('adminAudit').add({
-      actorUid,
-      action,
-      targetUid,
-      targetEmail,
-      timestamp: new Date()
+    await recordTagUsage(review.addedTags);
+    await logAdminAction(req.user.uid, 'reviewReport', review.contentAuthorId, null, {
+      targetType: review.reportData.contentType,
+      targetId: review.reportData.contentId,
+      before: { reportId, ...review.before },
+      after: { reportId, ...review.after }
     });
-  } catch (error) {
-    console.error('Failed to log admin action:', error);
-  }
-};
 
-// GET /v1/admin/admins - List all current admin users
-app.get('/v1/admin/admins', authenticateUser, adminGuard, async (req, res) => {
-  try {
-    const admins = [];
-    
-    // Get all admins from Firestore collection
-    const adminsSnapshot = await db.collection('admins').get();
-    for (const doc of adminsSnapshot.docs) {
-      const adminData = doc.data();
-      admins.push({
-        uid: adminData.uid,
-        email: adminData.email,
-        addedBy: adminData.addedBy,
-        addedAt: adminData.addedAt,
-        role: adminData.role,
-        source: 'collection'
+    let sanction = null;
+    if (action === 'ban' && review.contentAuthorId) {
+      const reason = typeof req.body.reason === 'string' && req.body.reason.trim()
+        ? req.body.reason.trim()
+        : `Content removed for ${review.reportData.reason}`;
+      sanction = await issueSanction({
+        userId: review.contentAuthorId,
+        type: 'ban',
+        reason,
+        issuedBy: req.user.uid,
+        reportId
       });
     }
-    
-    // Add bootstrap admins if they're not already in the collection
-    for (const email of ADMIN_EMAILS) {
-      const existingAdmin = admins.find(admin => admin.email === email);
-      if (!existingAdmin) {
-        admins.push({
-          uid: null, // Bootstrap admins might not have UIDs
-          email,
-          addedBy: 'system',
-          addedAt: null,
-          role: 'admin',
-          source: 'bootstrap'
-        });
-      }
+
+    // Let the author know their content was taken down
+    if (action === 'remove' || action === 'ban') {
+      await createNotification(review.contentAuthorId, {
+        type: 'content_removed',
+        reportId, // needed to appeal the removal
+        contentType: review.reportData.contentType,
+        contentId: review.reportData.contentId,
+        postId: review.reportData.contentType === 'post' ? review.reportData.contentId : review.reportData.postId,
+        reason: review.reportData.reason
+      });
     }
-    
+
     res.json({
       success: true,
       data: {
-        admins: admins.sort((a, b) => {
-          const aTime = a.addedAt ? (a.addedAt.toDate ? a.addedAt.toDate().getTime() : a.addedAt.getTime()) : 0;
-          const bTime = b.addedAt ? (b.addedAt.toDate ? b.addedAt.toDate().getTime() : b.addedAt.getTime()) : 0;
-          return aTime - bTime;
-        })
+        message: `Report ${{ approve: 'approved', remove: 'removed', ban: 'banned' }[action]} successfully`,
+        sanctionId: sanction ? sanction.id : null
       }
     });
-    
+
   } catch (error) {
-    console.error('Error listing admins:', error);
-    res.status(500).json({
+    console.error('Error reviewing report:', error);
+    const statusCodes = { 'Report not found': 404, 'Report already reviewed': 409 };
+    res.status(statusCodes[error.message] || 500).json({
       success: false,
-      error: 'Failed to list admins',
+      error: 'Failed to review report',
       message: error.message
     });
   }
 });
 
-// POST /v1/admin/admins/promote - Promote user to admin
-app.post('/v1/admin/admins/promote', authenticateUser, adminGuard, rateLimitAdminActions, async (req, res) => {
+// ========== SANCTIONS API ==========
+
+// POST /v1/moderation/users/:id/sanctions - Warn, suspend or ban a user (moderators and admins)
+app.post('/v1/moderation/users/:id/sanctions', authenticateUser, staffGuard, async (req, res) => {
   try {
-    const { email } = req.body;
-    
-    if (!email || !email.includes('@')) {
+    const userId = req.params.id;
+    const { type, reason, durationHours } = req.body;
+
+    if (!SANCTION_TYPES.includes(type)) {
       return res.status(400).json({
-        success: false,
-        error: 'Invalid email',
-        message: 'Valid email address is required'
+        error: 'Validation failed',
+        message: `type must be one of: ${SANCTION_TYPES.join(', ')}`
       });
     }
-    
-    // Look up user by email using Firebase Admin SDK
-    let targetUser;
+
+    if (!reason || typeof reason !== 'string' || reason.trim().length === 0 || reason.length > 500) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'reason is required (max 500 characters)'
+      });
+    }
+
+    if (type === 'suspension' &&
+        (!Number.isInteger(durationHours) || durationHours < 1 || durationHours > MAX_SUSPENSION_HOURS)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: `durationHours must be a whole number between 1 and ${MAX_SUSPENSION_HOURS} for suspensions`
+      });
+    }
+
+    if (userId === req.user.uid) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'You cannot sanction yourself'
+      });
+    }
+
+    let targetIsStaff;
     try {
-      targetUser = await admin.auth().getUserByEmail(email);
+      targetIsStaff = await isStaffAccount(userId);
     } catch (error) {
       if (error.code === 'auth/user-not-found') {
         return res.status(404).json({
-          success: false,
-          error: 'User not found',
-          message: 'No user found with this email address'
+          error: 'User not found'
         });
       }
       throw error;
     }
-    
-    // Check if already an admin
-    const existingAdmin = await db.collection('admins').doc(targetUser.uid).get();
-    if (existingAdmin.exists || ADMIN_EMAILS.includes(email)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Already admin',
-        message: 'User is already an administrator'
+
+    if (targetIsStaff) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Staff accounts cannot be sanctioned'
       });
     }
-    
-    // Set Firebase custom claims (preserve existing claims)
-    const existingUser = await admin.auth().getUser(targetUser.uid);
-    const existingClaims = existingUser.customClaims || {};
-    await admin.auth().setCustomUserClaims(targetUser.uid, { ...existingClaims, role: 'admin' });
-    
-    // Add to admins collection
-    const adminData = {
-      uid: targetUser.uid,
-      email: targetUser.email,
-      addedBy: req.user.uid,
-      addedAt: new Date(),
-      role: 'admin'
-    };
-    
-    await db.collection('admins').doc(targetUser.uid).set(adminData);
-    
-    // Audit log
-    await logAdminAction(req.user.uid, 'promoteAdmin', targetUser.uid, targetUser.email);
-    
+
+    const sanction = await issueSanction({
+      userId,
+      type,
+      reason: reason.trim(),
+      expiresAt: type === 'suspension' ? new Date(Date.now() + durationHours * 60 * 60 * 1000) : null,
+      issuedBy: req.user.uid
+    });
+
     res.status(201).json({
       success: true,
-      message: 'User promoted to admin successfully',
       data: {
-        uid: targetUser.uid,
-        email: targetUser.email,
-        addedBy: req.user.uid,
-        addedAt: adminData.addedAt
+        sanction: {
+          ...serializeTimestamps(sanction),
+          inEffect: type !== 'warning'
+        }
       }
     });
-    
+
   } catch (error) {
-    console.error('Error promoting admin:', error);
+    console.error('Error issuing sanction:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to promote admin',
+      error: 'Failed to issue sanction',
       message: error.message
     });
   }
 });
 
-// DELETE /v1/admin/admins/:uid - Remove admin privileges
-app.delete('/v1/admin/admins/:uid', authenticateUser, adminGuard, rateLimitAdminActions, async (req, res) => {
+// GET /v1/moderation/sanctions - List sanctions, optionally for one user (moderators and admins)
+app.get('/v1/moderation/sanctions', authenticateUser, staffGuard, async (req, res) => {
   try {
-    const { uid } = req.params;
-    
-    if (!uid) {
+    const { userId, status = 'active', page = '1', limit = '20', cursor } = req.query;
+    const pageNum = parseInt(page, 10);
+    const limitNum = Math.min(parseInt(limit, 10), 50);
+    const offset = (pageNum - 1) * limitNum;
+
+    if (!['active', 'lifted', 'all'].includes(status)) {
       return res.status(400).json({
-        success: false,
-        error: 'Invalid UID',
-        message: 'User UID is required'
+        error: 'Validation failed',
+        message: 'status must be "active", "lifted", or "all"'
       });
     }
-    
-    // Prevent self-removal
-    if (uid === req.user.uid) {
+
+    const startAfter = cursor ? decodeCursor(cursor, ['createdAt']) : null;
+    if (cursor && !startAfter) {
       return res.status(400).json({
-        success: false,
-        error: 'Cannot remove self',
-        message: 'You cannot remove your own admin privileges'
+        error: 'Validation failed',
+        message: 'Invalid cursor'
       });
     }
-    
-    // Get user info
-    let targetUser;
-    try {
-      targetUser = await admin.auth().getUser(uid);
-    } catch (error) {
-      if (error.code === 'auth/user-not-found') {
-        return res.status(404).json({
-          success: false,
-          error: 'User not found',
-          message: 'No user found with this UID'
-        });
-      }
-      throw error;
+
+    let query = db.collection('userSanctions');
+    if (userId) {
+      query = query.where('userId', '==', userId);
     }
-    
-    // Check if user is a bootstrap admin (cannot be removed)
-    if (ADMIN_EMAILS.includes(targetUser.email)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Cannot remove bootstrap admin',
-        message: 'Bootstrap administrators cannot be removed via API'
-      });
+    if (status !== 'all') {
+      query = query.where('active', '==', status === 'active');
     }
-    
-    // Remove admin role from custom claims (preserve other claims)
-    const existingUser = await admin.auth().getUser(uid);
-    const existingClaims = existingUser.customClaims || {};
-    const { role, ...remainingClaims } = existingClaims;
-    await admin.auth().setCustomUserClaims(uid, remainingClaims);
-    
-    // Remove from admins collection
-    await db.collection('admins').doc(uid).delete();
-    
-    // Audit log
-    await logAdminAction(req.user.uid, 'removeAdmin', uid, targetUser.email);
-    
+
+    query = paginateQuery(query, [['createdAt', 'desc']], { startAfter, offset, limit: limitNum });
+
+    const snapshot = await query.get();
+    const hasMore = snapshot.docs.length > limitNum;
+    const docsToProcess = hasMore ? snapshot.docs.slice(0, limitNum) : snapshot.docs;
+    const sanctions = docsToProcess.map(formatSanction);
+
     res.json({
       success: true,
-      message: 'Admin privileges removed successfully',
       data: {
-        uid: uid,
-        email: targetUser.email,
-        removedBy: req.user.uid,
-        removedAt: new Date()
+        sanctions,
+        pagination: {
+          currentPage: pageNum,
+          hasMore,
+          totalShown: sanctions.length,
+          nextCursor: hasMore ? encodeCursor(docsToProcess[docsToProcess.length - 1], ['createdAt']) : null
+        }
       }
     });
-    
+
   } catch (error) {
-    console.error('Error removing admin:', error);
+    console.error('Error listing sanctions:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to remove admin',
+      error: 'Failed to list sanctions',
       message: error.message
     });
   }
 });
 
-// ========== MODERATION API ==========
+// DELETE /v1/moderation/sanctions/:sanctionId - Lift a sanction early (moderators and admins)
+app.delete('/v1/moderation/sanctions/:sanctionId', authenticateUser, staffGuard, async (req, res) => {
+  try {
+    const { sanctionId } = req.params;
+    const liftReason = typeof req.body?.reason === 'string' ? req.body.reason.trim().slice(0, 500) : '';
 
-// POST /v1/moderation/report - Report content
-app.post('/v1/moderation/report', authenticateUser, async (req, res) => {
+    await liftSanction({ sanctionId, liftedBy: req.user.uid, liftReason });
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Sanction lifted successfully'
+      }
+    });
+
+  } catch (error) {
+    console.error('Error lifting sanction:', error);
+    const statusCodes = { 'Sanction not found': 404, 'Sanction already lifted': 409 };
+    res.status(statusCodes[error.message] || 500).json({
+      success: false,
+      error: 'Failed to lift sanction',
+      message: error.message
+    });
+  }
+});
+
+// ========== APPEALS API ==========
+
+const APPEAL_OUTCOMES = { restore: 'restored', uphold: 'upheld' };
+const MAX_APPEAL_STATEMENT_LENGTH = 2000;
+
+// POST /v1/moderation/appeals - Appeal the removal of your own post or comment (once per removal)
+app.post('/v1/moderation/appeals', authenticateUser, async (req, res) => {
   try {
-    const { contentId, contentType, reason, description = '' } = req.body;
+    const { reportId, statement } = req.body;
 
-    if (!contentId || !contentType || !reason) {
+    if (!reportId || typeof reportId !== 'string') {
       return res.status(400).json({
         error: 'Validation failed',
-        message: 'contentId, contentType, and reason are required'
+        message: 'reportId is required'
       });
     }
 
-    if (!['post', 'comment'].includes(contentType)) {
+    if (!statement || typeof statement !== 'string' || statement.trim().length === 0) {
       return res.status(400).json({
         error: 'Validation failed',
-        message: 'contentType must be "post" or "comment"'
+        message: 'statement is required'
       });
     }
 
-    const validReasons = ['spam', 'harassment', 'inappropriate', 'misinformation', 'other'];
-    if (!validReasons.includes(reason)) {
+    if (statement.length > MAX_APPEAL_STATEMENT_LENGTH) {
       return res.status(400).json({
         error: 'Validation failed',
-        message: `reason must be one of: ${validReasons.join(', ')}`
+        message: `Statement too long. Maximum ${MAX_APPEAL_STATEMENT_LENGTH} characters.`
       });
     }
 
-    // Check for duplicate pending reports by same user
-    const existingQuery = db.collection('moderationReports')
-      .where('contentId', '==', contentId)
-      .where('reporterId', '==', req.user.uid)
-      .where('status', '==', 'pending')
-      .limit(1);
+    const now = new Date();
+    const appeal = await db.runTransaction(async (transaction) => {
+      const reportRef = db.collection('moderationReports').doc(reportId);
+      const reportDoc = await transaction.get(reportRef);
+      if (!reportDoc.exists) {
+        throw new Error('Report not found');
+      }
+
+      const report = reportDoc.data();
+      const contentRef = reportContentRef(report);
+      const contentDoc = contentRef ? await transaction.get(contentRef) : null;
 
-    const existing = await existingQuery.get();
-    if (!existing.empty) {
-      return res.status(409).json({
-        error: 'Duplicate report',
-        message: 'You have already reported this content'
+      // Only the author can appeal, and only while the content is still removed
+      if (!contentDoc || !contentDoc.exists || contentDoc.data().authorId !== req.user.uid) {
+        throw new Error('Report not found');
+      }
+      if (!['remove', 'ban'].includes(report.action) || contentDoc.data().moderationStatus !== 'removed') {
+        throw new Error('Content is not removed');
+      }
+
+      // One appeal per removal: the id is tied to the review that removed the content
+      const appealRef = db.collection('moderationAppeals').doc(`${reportId}_${report.reviewedAt.toMillis()}`);
+      const appealData = {
+        reportId,
+        contentType: report.contentType,
+        contentId: report.contentId,
+        postId: report.contentType === 'comment' ? report.postId : report.contentId,
+        authorId: req.user.uid,
+        statement: statement.trim(),
+        status: 'pending',
+        originalModeratorId: report.reviewedBy,
+        originalAction: report.action,
+        removedAt: report.reviewedAt,
+        createdAt: now,
+        resolvedAt: null,
+        resolvedBy: null,
+        resolutionNote: null
+      };
+
+      transaction.create(appealRef, appealData); // fails if this removal was already appealed
+      transaction.update(reportRef, {
+        appeal: { appealId: appealRef.id, status: 'pending', createdAt: now }
       });
-    }
 
-    // Create report with postId for comment moderation
-    const reportData = {
-      contentId,
-      contentType,
-      reason,
-      description: description.trim(),
-      reporterId: req.user.uid,
-      reporterName: req.user.name,
-      status: 'pending',
-      createdAt: new Date(),
-      reviewedAt: null,
-      reviewedBy: null,
-      action: null,
-      // For comments, extract postId from the route context if available
-      postId: contentType === 'comment' ? req.body.postId || null : null
-    };
+      return { id: appealRef.id, ...appealData };
+    });
 
-    const reportRef = await db.collection('moderationReports').add(reportData);
+    // The author doesn't need to know which moderator removed the content
+    const { originalModeratorId, ...ownAppeal } = appeal;
 
     res.status(201).json({
       success: true,
       data: {
-        reportId: reportRef.id,
-        message: 'Report submitted successfully'
+        appeal: serializeTimestamps(ownAppeal),
+        message: 'Appeal submitted successfully'
       }
     });
 
   } catch (error) {
-    console.error('Error creating report:', error);
-    res.status(500).json({
+    // Firestore reports an existing document on create as ALREADY_EXISTS (code 6)
+    if (error.code === 6) {
+      return res.status(409).json({
+        error: 'Duplicate appeal',
+        message: 'You have already appealed this removal'
+      });
+    }
+    console.error('Error creating appeal:', error);
+    const statusCodes = { 'Report not found': 404, 'Content is not removed': 400 };
+    res.status(statusCodes[error.message] || 500).json({
       success: false,
-      error: 'Failed to submit report',
+      error: 'Failed to submit appeal',
       message: error.message
     });
   }
 });
 
-// GET /v1/moderation/queue - Moderation queue (moderators and admins)
-app.get('/v1/moderation/queue', authenticateUser, staffGuard, async (req, res) => {
+// GET /v1/moderation/appeals - Appeals queue (moderators and admins)
+app.get('/v1/moderation/appeals', authenticateUser, staffGuard, async (req, res) => {
   try {
-
-    const { status = 'pending', page = '1', limit = '20' } = req.query;
+    const { status = 'pending', page = '1', limit = '20', cursor } = req.query;
     const pageNum = parseInt(page, 10);
     const limitNum = Math.min(parseInt(limit, 10), 50);
     const offset = (pageNum - 1) * limitNum;
 
-    let query = db.collection('moderationReports');
-    
-    if (status && ['pending', 'approved', 'rejected'].includes(status)) {
+    const statuses = ['pending', ...Object.values(APPEAL_OUTCOMES)];
+    if (status !== 'all' && !statuses.includes(status)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: `status must be one of: ${[...statuses, 'all'].join(', ')}`
+      });
+    }
+
+    const startAfter = cursor ? decodeCursor(cursor, ['createdAt']) : null;
+    if (cursor && !startAfter) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Invalid cursor'
+      });
+    }
+
+    let query = db.collection('moderationAppeals');
+    if (status !== 'all') {
       query = query.where('status', '==', status);
     }
 
-    query = query.orderBy('createdAt', 'desc').offset(offset).limit(limitNum + 1);
+    query = paginateQuery(query, [['createdAt', 'desc']], { startAfter, offset, limit: limitNum });
 
     const snapshot = await query.get();
-    const reports = [];
     const hasMore = snapshot.docs.length > limitNum;
-
     const docsToProcess = hasMore ? snapshot.docs.slice(0, limitNum) : snapshot.docs;
-    
-    for (const doc of docsToProcess) {
-      const report = { id: doc.id, ...doc.data() };
-      
-      // Convert timestamps
-      if (report.createdAt && report.createdAt.toDate) {
-        report.createdAt = report.createdAt.toDate().toISOString();
-      }
-      if (report.reviewedAt && report.reviewedAt.toDate) {
-        report.reviewedAt = report.reviewedAt.toDate().toISOString();
-      }
-      
-      reports.push(report);
-    }
+    const appeals = docsToProcess.map(doc => serializeTimestamps({ id: doc.id, ...doc.data() }));
+
+    // Attach the content as it stands now, its author, and whether the caller may resolve it
+    const contentRefs = appeals.map(appeal => reportContentRef(appeal));
+    const existingRefs = contentRefs.filter(Boolean);
+    const contentDocs = existingRefs.length > 0 ? await db.getAll(...existingRefs) : [];
+    const contentByPath = new Map(contentDocs.map(doc => [doc.ref.path, doc]));
+    const profiles = await getUserProfiles(appeals.map(appeal => appeal.authorId));
+
+    appeals.forEach((appeal, i) => {
+      appeal.content = snapshotReportedContent(appeal, contentRefs[i] ? contentByPath.get(contentRefs[i].path) : null);
+      appeal.author = shapeAuthor(appeal.authorId, profiles.get(appeal.authorId) || {}, false);
+      appeal.canResolve = appeal.status === 'pending' && appeal.originalModeratorId !== req.user.uid;
+    });
 
     res.json({
       success: true,
       data: {
-        reports,
+        appeals,
         pagination: {
           currentPage: pageNum,
           hasMore,
-          totalShown: reports.length
+          totalShown: appeals.length,
+          nextCursor: hasMore ? encodeCursor(docsToProcess[docsToProcess.length - 1], ['createdAt']) : null
         }
       }
     });
 
   } catch (error) {
-    console.error('Error fetching moderation queue:', error);
+    console.error('Error fetching appeals queue:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch moderation queue',
+      error: 'Failed to fetch appeals queue',
       message: error.message
     });
   }
 });
 
-// PUT /v1/moderation/review/:reportId - Review moderation report (moderators and admins)
-app.put('/v1/moderation/review/:reportId', authenticateUser, staffGuard, async (req, res) => {
+// PUT /v1/moderation/appeals/:appealId - Restore or uphold appealed content (a different moderator than the original)
+app.put('/v1/moderation/appeals/:appealId', authenticateUser, staffGuard, async (req, res) => {
   try {
+    const { appealId } = req.params;
+    const { outcome, note = '' } = req.body;
 
-    const { reportId } = req.params;
-    const { action } = req.body;
-
-    if (!['approve', 'remove', 'ban'].includes(action)) {
+    if (!APPEAL_OUTCOMES[outcome]) {
       return res.status(400).json({
         error: 'Validation failed',
-        message: 'action must be "approve", "remove", or "ban"'
+        message: 'outcome must be "restore" or "uphold"'
       });
     }
 
-    await db.runTransaction(async (transaction) => {
-      const reportRef = db.collection('moderationReports').doc(reportId);
-      const reportDoc = await transaction.get(reportRef);
-      
-      if (!reportDoc.exists) {
-        throw new Error('Report not found');
+    const now = new Date();
+    const resolution = await db.runTransaction(async (transaction) => {
+      const appealRef = db.collection('moderationAppeals').doc(appealId);
+      const appealDoc = await transaction.get(appealRef);
+      if (!appealDoc.exists) {
+        throw new Error('Appeal not found');
       }
 
-      const reportData = reportDoc.data();
-      
-      // Update report
-      transaction.update(reportRef, {
-        status: action === 'approve' ? 'approved' : 'reviewed',
-        action,
-        reviewedAt: new Date(),
-        reviewedBy: req.user.uid
+      const appeal = appealDoc.data();
+      if (appeal.status !== 'pending') {
+        throw new Error('Appeal already resolved');
+      }
+      if (appeal.originalModeratorId === req.user.uid) {
+        throw new Error('Appeals must be resolved by a different moderator');
+      }
+
+      const contentRef = reportContentRef(appeal);
+      const contentDoc = contentRef ? await transaction.get(contentRef) : null;
+      const previousStatus = contentDoc && contentDoc.exists ? contentDoc.data().moderationStatus : null;
+      const countHeldComment = outcome === 'restore' && appeal.contentType === 'comment' && previousStatus === 'removed'
+        ? await prepareHeldCommentCount(transaction, contentRef, contentDoc.data())
+        : null;
+      const status = APPEAL_OUTCOMES[outcome];
+      const resolutionNote = String(note).trim().slice(0, 1000);
+
+      transaction.update(appealRef, {
+        status,
+        resolvedAt: now,
+        resolvedBy: req.user.uid,
+        resolutionNote
       });
 
-      // Update target content based on action
-      if (action === 'remove' || action === 'ban') {
-        if (reportData.contentType === 'post') {
-          const postRef = db.collection('posts').doc(reportData.contentId);
-          transaction.update(postRef, {
-            moderationStatus: 'removed',
-            updatedAt: new Date()
-          });
-        } else if (reportData.contentType === 'comment') {
-          // For comments, we need to parse the contentId to get post and comment IDs
-          // Format expected: "postId/comments/commentId" or store separately
-          // For now, mark comment as removed (requires postId to be stored in report)
-          if (reportData.postId) {
-            const commentRef = db.collection('posts').doc(reportData.postId)
-              .collection('comments').doc(reportData.contentId);
-            transaction.update(commentRef, {
-              moderationStatus: 'removed',
-              updatedAt: new Date()
-            });
-          }
+      // Record the outcome on the original report
+      transaction.update(db.collection('moderationReports').doc(appeal.reportId), {
+        appeal: {
+          appealId,
+          status,
+          createdAt: appeal.createdAt,
+          resolvedAt: now,
+          resolvedBy: req.user.uid
+        }
+      });
+
+      const restore = outcome === 'restore' && previousStatus === 'removed';
+      const tagCount = restore && appeal.contentType === 'post' ? tagsToCount(contentDoc.data()) : null;
+      if (restore) {
+        transaction.update(contentRef, {
+          moderationStatus: 'approved',
+          ...(tagCount ? { countedTags: tagCount.countedTags } : {}),
+          updatedAt: now
+        });
+        if (countHeldComment) countHeldComment(now);
+      }
+
+      return {
+        appeal,
+        status,
+        restored: restore,
+        addedTags: tagCount ? tagCount.added : [],
+        before: { status: 'pending', contentModerationStatus: previousStatus },
+        after: { status, contentModerationStatus: restore ? 'approved' : previousStatus, resolutionNote }
+      };
+    });
+
+    await recordTagUsage(resolution.addedTags, now);
+    await logAdminAction(req.user.uid, 'resolveAppeal', resolution.appeal.authorId, null, {
+      targetType: 'appeal',
+      targetId: appealId,
+      before: resolution.before,
+      after: resolution.after
+    });
+
+    // A ban issued by the review that removed the content goes with it. The appeal is already
+    // resolved at this point, so a ban that can't be lifted is reported back rather than failing
+    // the request; it can still be lifted through the sanctions endpoint.
+    const liftedSanctionIds = [];
+    const unliftedSanctionIds = [];
+    if (resolution.restored && resolution.appeal.originalAction === 'ban') {
+      const sanctionsSnapshot = await db.collection('userSanctions')
+        .where('reportId', '==', resolution.appeal.reportId)
+        .where('active', '==', true)
+        .get();
+      const removedAt = resolution.appeal.removedAt.toMillis();
+      for (const doc of sanctionsSnapshot.docs) {
+        if (doc.data().type !== 'ban' || doc.data().createdAt.toMillis() < removedAt) continue;
+        try {
+          await liftSanction({ sanctionId: doc.id, liftedBy: req.user.uid, liftReason: `Content restored on appeal ${appealId}` });
+          liftedSanctionIds.push(doc.id);
+        } catch (error) {
+          // Lifted by someone else in the meantime
+          if (error.message === 'Sanction already lifted') continue;
+          console.error(`Error lifting sanction ${doc.id} for appeal ${appealId}:`, error);
+          unliftedSanctionIds.push(doc.id);
         }
       }
+    }
+
+    await createNotification(resolution.appeal.authorId, {
+      type: 'appeal_resolved',
+      appealId,
+      outcome: resolution.status,
+      contentType: resolution.appeal.contentType,
+      contentId: resolution.appeal.contentId,
+      postId: resolution.appeal.postId
     });
 
     res.json({
       success: true,
       data: {
-        message: `Report ${action}d successfully`
+        message: `Appeal ${resolution.status} successfully`,
+        liftedSanctionIds,
+        unliftedSanctionIds
       }
     });
 
   } catch (error) {
-    console.error('Error reviewing report:', error);
-    res.status(error.message === 'Report not found' ? 404 : 500).json({
+    console.error('Error resolving appeal:', error);
+    const statusCodes = {
+      'Appeal not found': 404,
+      'Appeal already resolved': 409,
+      'Appeals must be resolved by a different moderator': 403
+    };
+    res.status(statusCodes[error.message] || 500).json({
       success: false,
-      error: 'Failed to review report',
+      error: 'Failed to resolve appeal',
       message: error.message
     });
   }
@@ -1290,10 +6133,65 @@ app.use((req, res) => {
       'GET /v1/posts',
       'POST /v1/posts',
       'POST /v1/posts/:id/like',
+      'POST /v1/posts/:id/reactions',
+      'DELETE /v1/posts/:id/reactions',
+      'POST /v1/posts/:postId/comments/:commentId/reactions',
+      'DELETE /v1/posts/:postId/comments/:commentId/reactions',
+      'POST /v1/posts/:id/bookmark',
+      'POST /v1/posts/:id/poll/vote',
+      'GET /v1/posts/:id/stats',
+      'POST /v1/admin/backfills/:name',
+      'POST /v1/admin/jobs/view-retention',
+      'POST /v1/uploads/images',
+      'GET /v1/assets/:assetId/:variant',
+      'GET /v1/users/me',
+      'PATCH /v1/users/me',
+      'GET /v1/users/:id',
+      'GET /v1/users/me/bookmarks',
+      'POST /v1/users/:id/follow',
+      'DELETE /v1/users/:id/follow',
+      'GET /v1/users/:id/followers',
+      'GET /v1/users/:id/following',
+      'POST /v1/users/:id/block',
+      'DELETE /v1/users/:id/block',
+      'POST /v1/posts/:id/author/block',
+      'DELETE /v1/posts/:id/author/block',
+      'POST /v1/posts/:postId/comments/:commentId/author/block',
+      'DELETE /v1/posts/:postId/comments/:commentId/author/block',
+      'POST /v1/users/:id/mute',
+      'DELETE /v1/users/:id/mute',
+      'GET /v1/users/me/blocked',
+      'GET /v1/users/me/blocked/anonymous',
+      'GET /v1/users/me/muted',
+      'GET /v1/admin/moderation/rules',
+      'PUT /v1/admin/moderation/rules',
+      'GET /v1/admin/moderators',
+      'POST /v1/admin/moderators/promote',
+      'DELETE /v1/admin/moderators/:uid',
+      'GET /v1/admin/audit',
+      'POST /v1/moderation/appeals',
+      'GET /v1/moderation/appeals',
+      'PUT /v1/moderation/appeals/:appealId',
+      'POST /v1/moderation/users/:id/sanctions',
+      'GET /v1/moderation/sanctions',
+      'DELETE /v1/moderation/sanctions/:sanctionId',
       'GET /v1/posts/:id',
+      'PATCH /v1/posts/:id',
+      'DELETE /v1/posts/:id',
       'GET /v1/posts/:postId/comments',
       'POST /v1/posts/:postId/comments',
+      'GET /v1/posts/:postId/comments/:commentId/replies',
+      'PATCH /v1/posts/:postId/comments/:commentId',
+      'DELETE /v1/posts/:postId/comments/:commentId',
       'POST /v1/posts/:postId/comments/:commentId/like',
+      'GET /v1/notifications',
+      'POST /v1/notifications/:id/read',
+      'POST /v1/notifications/read-all',
+      'GET /v1/search',
+      'GET /v1/tags/trending',
+      'GET /v1/moderation/tags/blocked',
+      'POST /v1/moderation/tags/blocked',
+      'DELETE /v1/moderation/tags/blocked/:tag',
       'POST /v1/moderation/report',
       'GET /v1/moderation/queue',
       'PUT /v1/moderation/review/:reportId'
@@ -1303,13 +6201,35 @@ app.use((req, res) => {
 
 const PORT = process.env.PORT || 5000;
 
-console.log(`🚀 Starting Simple Femina Backend Server on port ${PORT}`);
+// Tests load the app without starting the server or its background jobs
+if (require.main === module) {
+  console.log(`🚀 Starting Simple Femina Backend Server on port ${PORT}`);
+
+  app.listen(PORT, '0.0.0.0', () => {
+    console.log(`✅ Femina Backend is running on http://0.0.0.0:${PORT}`);
+    console.log(`📋 Available endpoints:`);
+    console.log(`   GET  /v1/health - Health check`);
+    console.log(`   GET  /v1/test - API test`);
+    console.log(`   GET  /v1/resources - Sample resources`);
+    console.log(`🌐 Backend ready for frontend connection!`);
+
+    // Write buffered post views every 30 seconds
+    setInterval(() => {
+      flushPostViews().catch(error => console.error('Post view flush failed:', error));
+    }, VIEW_FLUSH_INTERVAL_MS).unref();
 
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`✅ Femina Backend is running on http://0.0.0.0:${PORT}`);
-  console.log(`📋 Available endpoints:`);
-  console.log(`   GET  /v1/health - Health check`);
-  console.log(`   GET  /v1/test - API test`);
-  console.log(`   GET  /v1/resources - Sample resources`);
-  console.log(`🌐 Backend ready for frontend connection!`);
-});
\ No newline at end of file
+    // Purge old raw post view docs now (restarts may come more often than daily) and then once a day
+    const purgeOldViews = () => runViewRetention().catch(error => console.error('View retention job failed:', error));
+    purgeOldViews();
+    setInterval(purgeOldViews, VIEW_RETENTION_INTERVAL_MS).unref();
+  });
+}
+
+module.exports = {
+  app,
+  db,
+  anonymousIdentity,
+  recordPostView,
+  flushPostViews,
+  runViewRetention
+};
@@ -0,0 +1,85 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipReason, startServer, resetEmulators, createUser, api, createPost } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('post analytics', { skip: skipReason }, () => {
+  let ctx;
+  let request;
+  let author;
+
+  before(async () => {
+    await resetEmulators();
+    ctx = await startServer();
+    request = api(ctx.baseUrl);
+    author = await createUser({ name: 'Author' });
+  });
+
+  after(() => ctx && ctx.server.close());
+
+  it('buffers views, deduplicates repeat viewers and counts guests apart from signed-in viewers', async () => {
+    const postId = await createPost(request, author);
+    const postRef = ctx.db.collection('posts').doc(postId);
+    const now = new Date();
+
+    await ctx.recordPostView(postId, 'viewer-one', true, now);
+    await ctx.recordPostView(postId, 'viewer-one', true, new Date(now.getTime() + 1000)); // within 10 minutes
+    await ctx.recordPostView(postId, 'guest_abc', false, now);
+
+    // Nothing is written to the post until the buffer is flushed
+    assert.equal((await postRef.get()).data().views, 0);
+
+    await ctx.flushPostViews(now);
+    const post = (await postRef.get()).data();
+    assert.equal(post.views, 2);
+    assert.equal(post.signedInViews, 1);
+
+    const stats = (await postRef.collection('dailyStats').doc(now.toISOString().slice(0, 10)).get()).data();
+    assert.equal(stats.views, 2);
+    assert.equal(stats.uniqueViewers, 2);
+
+    // A second flush with nothing buffered changes nothing
+    await ctx.flushPostViews(now);
+    assert.equal((await postRef.get()).data().views, 2);
+  });
+
+  it('counts a viewer once per day as unique even after the dedup window', async () => {
+    const postId = await createPost(request, author);
+    const postRef = ctx.db.collection('posts').doc(postId);
+    const morning = new Date();
+    morning.setUTCHours(1, 0, 0, 0);
+
+    await ctx.recordPostView(postId, 'viewer-two', true, morning);
+    await ctx.recordPostView(postId, 'viewer-two', true, new Date(morning.getTime() + 60 * 60 * 1000));
+    await ctx.flushPostViews(morning);
+
+    const stats = (await postRef.collection('dailyStats').doc(morning.toISOString().slice(0, 10)).get()).data();
+    assert.equal(stats.views, 2);
+    assert.equal(stats.uniqueViewers, 1);
+  });
+
+  it('purges raw view docs past retention and compacts legacy buckets into daily stats', async () => {
+    const postId = await createPost(request, author);
+    const viewsRef = ctx.db.collection('posts').doc(postId).collection('postViews');
+    const now = new Date();
+    const old = new Date(now.getTime() - 30 * DAY_MS);
+    const oldDay = old.toISOString().slice(0, 10);
+
+    await viewsRef.doc(`viewer_${oldDay}`).set({ viewer: 'viewer', day: oldDay, viewedAt: old });
+    await viewsRef.doc('legacy-one').set({ userId: 'legacy-viewer', viewedAt: old });
+    await viewsRef.doc('legacy-two').set({ userId: 'legacy-viewer', viewedAt: old });
+    await viewsRef.doc('recent').set({ viewer: 'viewer', day: now.toISOString().slice(0, 10), viewedAt: now });
+
+    const result = await ctx.runViewRetention(now);
+    assert.equal(result.deleted, 3);
+    assert.equal(result.compacted, 2);
+
+    const remaining = await viewsRef.get();
+    assert.deepEqual(remaining.docs.map(doc => doc.id), ['recent']);
+
+    const stats = (await ctx.db.collection('posts').doc(postId).collection('dailyStats').doc(oldDay).get()).data();
+    assert.equal(stats.views, 2);
+    assert.equal(stats.uniqueViewers, 1);
+  });
+});
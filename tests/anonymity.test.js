@@ -0,0 +1,94 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipReason, startServer, resetEmulators, createUser, api, createPost } = require('./helpers');
+
+describe('anonymous posting', { skip: skipReason }, () => {
+  let ctx;
+  let request;
+  let author;
+  let reader;
+
+  before(async () => {
+    await resetEmulators();
+    ctx = await startServer();
+    request = api(ctx.baseUrl);
+    author = await createUser({ name: 'Author' });
+    reader = await createUser({ name: 'Reader' });
+  });
+
+  after(() => ctx && ctx.server.close());
+
+  it('gives an author one pseudonym per thread and never their uid', async () => {
+    const firstPostId = await createPost(request, author, { isAnonymous: true });
+    const secondPostId = await createPost(request, author, { isAnonymous: true });
+    const comment = await request('POST', `/v1/posts/${firstPostId}/comments`, {
+      token: author.token, body: { content: 'Replying to myself', isAnonymous: true }
+    });
+    assert.equal(comment.status, 201);
+
+    const first = await request('GET', `/v1/posts/${firstPostId}`, { token: reader.token });
+    const second = await request('GET', `/v1/posts/${secondPostId}`, { token: reader.token });
+    const comments = await request('GET', `/v1/posts/${firstPostId}/comments`, { token: reader.token });
+
+    const expected = ctx.anonymousIdentity(author.uid, firstPostId);
+    assert.equal(first.body.data.post.author.id, null);
+    assert.equal(first.body.data.post.author.anonymousId, expected.anonymousId);
+    assert.equal(first.body.data.post.author.name, expected.name);
+    assert.equal(comments.body.data.comments[0].author.anonymousId, expected.anonymousId);
+    assert.notEqual(second.body.data.post.author.anonymousId, expected.anonymousId);
+
+    const payload = JSON.stringify([first.body, second.body, comments.body]);
+    assert.equal(payload.includes(author.uid), false);
+  });
+
+  it('limits a block made from anonymous content to that thread and keeps follows', async () => {
+    const follow = await request('POST', `/v1/users/${author.uid}/follow`, { token: reader.token });
+    assert.equal(follow.status, 200);
+
+    const anonymousPostId = await createPost(request, author, { isAnonymous: true, tags: ['blocking'] });
+    const otherAnonymousPostId = await createPost(request, author, { isAnonymous: true, tags: ['blocking'] });
+    const namedPostId = await createPost(request, author, { tags: ['blocking'] });
+
+    const block = await request('POST', `/v1/posts/${anonymousPostId}/author/block`, { token: reader.token });
+    assert.equal(block.status, 200);
+
+    const feed = await request('GET', '/v1/posts?tag=blocking', { token: reader.token });
+    const visible = feed.body.data.posts.map(post => post.id).sort();
+    assert.deepEqual(visible, [otherAnonymousPostId, namedPostId].sort());
+
+    // The author stays followed and out of the regular block list; the pseudonym is listed instead
+    const following = await request('GET', `/v1/users/${reader.uid}/following`, { token: reader.token });
+    assert.deepEqual(following.body.data.users.map(user => user.id), [author.uid]);
+    const blocked = await request('GET', '/v1/users/me/blocked', { token: reader.token });
+    assert.deepEqual(blocked.body.data.users, []);
+    const blockedPseudonyms = await request('GET', '/v1/users/me/blocked/anonymous', { token: reader.token });
+    assert.deepEqual(
+      blockedPseudonyms.body.data.users.map(user => [user.id, user.anonymousId, user.source.postId]),
+      [[null, ctx.anonymousIdentity(author.uid, anonymousPostId).anonymousId, anonymousPostId]]
+    );
+
+    // Unblocking through the same content shows the thread again
+    await request('DELETE', `/v1/posts/${anonymousPostId}/author/block`, { token: reader.token });
+    const refreshed = await request('GET', '/v1/posts?tag=blocking', { token: reader.token });
+    assert.equal(refreshed.body.data.posts.length, 3);
+  });
+
+  it('hides every post from a directly blocked author and drops follows both ways', async () => {
+    const blocker = await createUser({ name: 'Blocker' });
+    const blocked = await createUser({ name: 'Blocked' });
+    await request('POST', `/v1/users/${blocked.uid}/follow`, { token: blocker.token });
+    await request('POST', `/v1/users/${blocker.uid}/follow`, { token: blocked.token });
+    await createPost(request, blocked, { tags: ['direct-block'] });
+    await createPost(request, blocked, { isAnonymous: true, tags: ['direct-block'] });
+
+    const block = await request('POST', `/v1/users/${blocked.uid}/block`, { token: blocker.token });
+    assert.equal(block.status, 200);
+
+    const feed = await request('GET', '/v1/posts?tag=direct-block', { token: blocker.token });
+    assert.deepEqual(feed.body.data.posts, []);
+    const following = await request('GET', `/v1/users/${blocker.uid}/following`, { token: blocker.token });
+    assert.deepEqual(following.body.data.users, []);
+    const followers = await request('GET', `/v1/users/${blocker.uid}/followers`, { token: blocker.token });
+    assert.deepEqual(followers.body.data.users, []);
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Shared setup for the API tests: they run against the Firestore and Auth emulators
+ * (`npm test` starts both) and skip when the emulators aren't running.
+ */
+const crypto = require('crypto');
+
+const FIRESTORE_HOST = process.env.FIRESTORE_EMULATOR_HOST;
+const AUTH_HOST = process.env.FIREBASE_AUTH_EMULATOR_HOST;
+const PROJECT_ID = process.env.GCLOUD_PROJECT || 'demo-femina';
+
+const emulatorsRunning = Boolean(FIRESTORE_HOST && AUTH_HOST);
+const skipReason = emulatorsRunning ? false : 'needs the Firestore and Auth emulators (run `npm test`)';
+
+// Load the app and serve it on a free port; returns { server, baseUrl, ...module exports }
+const startServer = async () => {
+  process.env.GCLOUD_PROJECT = PROJECT_ID;
+  process.env.ANONYMOUS_ID_SECRET = process.env.ANONYMOUS_ID_SECRET || 'test-anonymous-id-secret';
+  const serverModule = require('../server-simple');
+
+  const server = await new Promise((resolve) => {
+    const listener = serverModule.app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  return { ...serverModule, server, baseUrl: `http://127.0.0.1:${server.address().port}` };
+};
+
+// Wipe every document and account in the emulators
+const resetEmulators = async () => {
+  await fetch(`http://${FIRESTORE_HOST}/emulator/v1/projects/${PROJECT_ID}/databases/(default)/documents`, {
+    method: 'DELETE'
+  });
+  await fetch(`http://${AUTH_HOST}/emulator/v1/projects/${PROJECT_ID}/accounts`, { method: 'DELETE' });
+};
+
+// Create an account and sign it in; `role` 'moderator' sets the users doc role, 'admin' adds an admins doc
+const createUser = async ({ name = 'Test User', role = 'user' } = {}) => {
+  const admin = require('firebase-admin');
+  const email = `${crypto.randomUUID()}@example.com`;
+  const password = 'test-password';
+  const { uid } = await admin.auth().createUser({ email, password, displayName: name });
+
+  const db = admin.firestore();
+  await db.collection('users').doc(uid).set({ name, role: role === 'moderator' ? 'moderator' : 'user' });
+  if (role === 'admin') {
+    await db.collection('admins').doc(uid).set({ email, createdAt: new Date() });
+  }
+
+  const response = await fetch(
+    `http://${AUTH_HOST}/identitytoolkit.googleapis.com/v1/accounts:signInWithPassword?key=fake-api-key`,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email, password, returnSecureToken: true })
+    }
+  );
+  const { idToken } = await response.json();
+  return { uid, email, token: idToken };
+};
+
+// Call the API; resolves to { status, body }
+const api = (baseUrl) => async (method, path, { token, body } = {}) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...(body !== undefined ? { 'Content-Type': 'application/json' } : {})
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+  const text = await response.text();
+  return { status: response.status, body: text ? JSON.parse(text) : null };
+};
+
+// Create a post through the API and return its id
+const createPost = async (request, user, fields = {}) => {
+  const { status, body } = await request('POST', '/v1/posts', {
+    token: user.token,
+    body: { content: 'A post for testing', category: 'general', ...fields }
+  });
+  if (status !== 201) {
+    throw new Error(`Creating a post failed with ${status}: ${JSON.stringify(body)}`);
+  }
+  return body.data.post.id;
+};
+
+module.exports = {
+  emulatorsRunning,
+  skipReason,
+  startServer,
+  resetEmulators,
+  createUser,
+  api,
+  createPost
+};
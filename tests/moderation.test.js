@@ -0,0 +1,155 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipReason, startServer, resetEmulators, createUser, api, createPost } = require('./helpers');
+
+describe('moderation', { skip: skipReason }, () => {
+  let ctx;
+  let request;
+  let author;
+  let reader;
+  let moderator;
+  let secondModerator;
+
+  // Total uses of `tag` across the daily trending buckets
+  const tagUses = async (tag) => {
+    const snapshot = await ctx.db.collection('tagUsageDaily').get();
+    return snapshot.docs.reduce((sum, doc) => sum + ((doc.data().counts || {})[tag] || 0), 0);
+  };
+
+  before(async () => {
+    await resetEmulators();
+    ctx = await startServer();
+    request = api(ctx.baseUrl);
+
+    // Rules are cached once first read, so they're in place before any content is created
+    await ctx.db.collection('moderationConfig').doc('autoModeration').set({ holdKeywords: ['holdme'] });
+
+    author = await createUser({ name: 'Author' });
+    reader = await createUser({ name: 'Reader' });
+    moderator = await createUser({ name: 'Moderator', role: 'moderator' });
+    secondModerator = await createUser({ name: 'Second Moderator', role: 'moderator' });
+  });
+
+  after(() => ctx && ctx.server.close());
+
+  it('counts a held comment only once it is approved, and reviews it only once', async () => {
+    const postId = await createPost(request, author);
+    const created = await request('POST', `/v1/posts/${postId}/comments`, {
+      token: reader.token, body: { content: 'Please holdme for review' }
+    });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.data.comment.moderationStatus, 'pending');
+    const commentId = created.body.data.comment.id;
+
+    const postRef = ctx.db.collection('posts').doc(postId);
+    assert.equal((await postRef.get()).data().comments, 0);
+
+    const asPostAuthor = await request('GET', `/v1/posts/${postId}/comments`, { token: author.token });
+    assert.deepEqual(asPostAuthor.body.data.comments, []);
+    const asCommenter = await request('GET', `/v1/posts/${postId}/comments`, { token: reader.token });
+    assert.deepEqual(asCommenter.body.data.comments.map(c => c.id), [commentId]);
+
+    const reportId = `comment_${commentId}`;
+    const approved = await request('PUT', `/v1/moderation/review/${reportId}`, {
+      token: moderator.token, body: { action: 'approve' }
+    });
+    assert.equal(approved.status, 200);
+    assert.equal((await postRef.get()).data().comments, 1);
+
+    const again = await request('PUT', `/v1/moderation/review/${reportId}`, {
+      token: moderator.token, body: { action: 'approve' }
+    });
+    assert.equal(again.status, 409);
+    assert.equal((await postRef.get()).data().comments, 1);
+  });
+
+  it('counts a held post\'s tags towards trending only once it is approved', async () => {
+    const postId = await createPost(request, author, { content: 'Please holdme', tags: ['heldtag'] });
+    assert.equal(await tagUses('heldtag'), 0);
+
+    const approved = await request('PUT', `/v1/moderation/review/post_${postId}`, {
+      token: moderator.token, body: { action: 'approve' }
+    });
+    assert.equal(approved.status, 200);
+    assert.equal(await tagUses('heldtag'), 1);
+  });
+
+  it('blocks writes during a suspension until it is lifted', async () => {
+    const user = await createUser({ name: 'Suspended' });
+    const issued = await request('POST', `/v1/moderation/users/${user.uid}/sanctions`, {
+      token: moderator.token, body: { type: 'suspension', reason: 'Cooling off', durationHours: 1 }
+    });
+    assert.equal(issued.status, 201);
+    const sanctionId = issued.body.data.sanction.id;
+
+    const refused = await request('POST', '/v1/posts', {
+      token: user.token, body: { content: 'Still here', category: 'general' }
+    });
+    assert.equal(refused.status, 403);
+    assert.equal(refused.body.error, 'Account suspended');
+    assert.equal((await request('GET', '/v1/posts', { token: user.token })).status, 200);
+
+    const lifted = await request('DELETE', `/v1/moderation/sanctions/${sanctionId}`, { token: moderator.token });
+    assert.equal(lifted.status, 200);
+    await createPost(request, user);
+
+    const liftedAgain = await request('DELETE', `/v1/moderation/sanctions/${sanctionId}`, { token: moderator.token });
+    assert.equal(liftedAgain.status, 409);
+  });
+
+  it('lifts the review\'s ban when an appeal restores the content', async () => {
+    const user = await createUser({ name: 'Appellant' });
+    const postId = await createPost(request, user);
+
+    const report = await request('POST', '/v1/moderation/report', {
+      token: reader.token, body: { contentType: 'post', contentId: postId, reason: 'spam' }
+    });
+    assert.equal(report.status, 201);
+    const { reportId } = report.body.data;
+
+    const banned = await request('PUT', `/v1/moderation/review/${reportId}`, {
+      token: moderator.token, body: { action: 'ban' }
+    });
+    assert.equal(banned.status, 200);
+    const { sanctionId } = banned.body.data;
+    assert.ok(sanctionId);
+
+    const refused = await request('POST', '/v1/posts', {
+      token: user.token, body: { content: 'Let me back in', category: 'general' }
+    });
+    assert.equal(refused.body.error, 'Account banned');
+
+    // Banned users can still appeal
+    const appeal = await request('POST', '/v1/moderation/appeals', {
+      token: user.token, body: { reportId, statement: 'This was not spam' }
+    });
+    assert.equal(appeal.status, 201);
+    const appealId = appeal.body.data.appeal.id;
+
+    const sameModerator = await request('PUT', `/v1/moderation/appeals/${appealId}`, {
+      token: moderator.token, body: { outcome: 'restore' }
+    });
+    assert.equal(sameModerator.status, 403);
+
+    const restored = await request('PUT', `/v1/moderation/appeals/${appealId}`, {
+      token: secondModerator.token, body: { outcome: 'restore', note: 'Not spam' }
+    });
+    assert.equal(restored.status, 200);
+    assert.deepEqual(restored.body.data.liftedSanctionIds, [sanctionId]);
+    assert.deepEqual(restored.body.data.unliftedSanctionIds, []);
+
+    const post = (await ctx.db.collection('posts').doc(postId).get()).data();
+    assert.equal(post.moderationStatus, 'approved');
+    const sanction = (await ctx.db.collection('userSanctions').doc(sanctionId).get()).data();
+    assert.equal(sanction.active, false);
+    await createPost(request, user);
+  });
+
+  it('refuses reports on content that is held or removed', async () => {
+    const postId = await createPost(request, author, { content: 'Please holdme again' });
+    const { status } = await request('POST', '/v1/moderation/report', {
+      token: reader.token, body: { contentType: 'post', contentId: postId, reason: 'spam' }
+    });
+    assert.equal(status, 409);
+  });
+});
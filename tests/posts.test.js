@@ -0,0 +1,113 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipReason, startServer, resetEmulators, createUser, api, createPost } = require('./helpers');
+
+describe('posts and comments', { skip: skipReason }, () => {
+  let ctx;
+  let request;
+  let author;
+  let reader;
+
+  before(async () => {
+    await resetEmulators();
+    ctx = await startServer();
+    request = api(ctx.baseUrl);
+    author = await createUser({ name: 'Author' });
+    reader = await createUser({ name: 'Reader' });
+  });
+
+  after(() => ctx && ctx.server.close());
+
+  it('pages through the feed with cursors without repeating or skipping posts', async () => {
+    const created = [];
+    for (let i = 0; i < 5; i++) {
+      created.push(await createPost(request, author, { content: `Paged post ${i}`, tags: ['paging'] }));
+    }
+
+    const seen = [];
+    let cursor = null;
+    let pages = 0;
+    do {
+      const query = `/v1/posts?tag=paging&sortBy=new&limit=2${cursor ? `&cursor=${cursor}` : ''}`;
+      const { status, body } = await request('GET', query, { token: reader.token });
+      assert.equal(status, 200);
+      seen.push(...body.data.posts.map(post => post.id));
+      cursor = body.data.pagination.nextCursor;
+      pages += 1;
+    } while (cursor && pages < 10);
+
+    assert.equal(pages, 3);
+    assert.deepEqual(seen, [...created].reverse());
+  });
+
+  it('rejects malformed cursors', async () => {
+    const { status } = await request('GET', '/v1/posts?cursor=not-a-cursor');
+    assert.equal(status, 400);
+  });
+
+  it('keeps the comment count exact under concurrent comments', async () => {
+    const postId = await createPost(request, author);
+    const results = await Promise.all(Array.from({ length: 5 }, (_, i) => request(
+      'POST', `/v1/posts/${postId}/comments`, { token: reader.token, body: { content: `Comment ${i}` } }
+    )));
+    results.forEach(({ status }) => assert.equal(status, 201));
+
+    const post = (await ctx.db.collection('posts').doc(postId).get()).data();
+    assert.equal(post.comments, 5);
+  });
+
+  it('counts replies on the parent and removes emptied placeholders on delete', async () => {
+    const postId = await createPost(request, author);
+    const parent = await request('POST', `/v1/posts/${postId}/comments`, {
+      token: author.token, body: { content: 'Parent' }
+    });
+    const parentId = parent.body.data.comment.id;
+    const reply = await request('POST', `/v1/posts/${postId}/comments`, {
+      token: reader.token, body: { content: 'Reply', parentCommentId: parentId }
+    });
+    assert.equal(reply.status, 201);
+
+    const commentsRef = ctx.db.collection('posts').doc(postId).collection('comments');
+    assert.equal((await commentsRef.doc(parentId).get()).data().replyCount, 1);
+
+    // A parent with replies becomes a placeholder...
+    await request('DELETE', `/v1/posts/${postId}/comments/${parentId}`, { token: author.token });
+    assert.ok((await commentsRef.doc(parentId).get()).data().deletedAt);
+
+    // ...which goes away with its last reply
+    await request('DELETE', `/v1/posts/${postId}/comments/${reply.body.data.comment.id}`, { token: reader.token });
+    assert.equal((await commentsRef.doc(parentId).get()).exists, false);
+    assert.equal((await ctx.db.collection('posts').doc(postId).get()).data().comments, 0);
+  });
+
+  it('refuses comments on held, removed and deleted posts', async () => {
+    for (const update of [{ moderationStatus: 'pending' }, { moderationStatus: 'removed' }, { deletedAt: new Date() }]) {
+      const postId = await createPost(request, author);
+      await ctx.db.collection('posts').doc(postId).update(update);
+
+      const { status } = await request('POST', `/v1/posts/${postId}/comments`, {
+        token: reader.token, body: { content: 'Too late' }
+      });
+      assert.equal(status, 404);
+    }
+  });
+
+  it('shows removed comments only to their author', async () => {
+    const postId = await createPost(request, author);
+    const comment = await request('POST', `/v1/posts/${postId}/comments`, {
+      token: reader.token, body: { content: 'Soon removed' }
+    });
+    const commentId = comment.body.data.comment.id;
+    await ctx.db.collection('posts').doc(postId).collection('comments').doc(commentId)
+      .update({ moderationStatus: 'removed' });
+
+    const asCommenter = await request('GET', `/v1/posts/${postId}/comments`, { token: reader.token });
+    assert.deepEqual(asCommenter.body.data.comments.map(c => c.id), [commentId]);
+
+    const asPostAuthor = await request('GET', `/v1/posts/${postId}/comments`, { token: author.token });
+    assert.deepEqual(asPostAuthor.body.data.comments, []);
+
+    const signedOut = await request('GET', `/v1/posts/${postId}/comments`);
+    assert.deepEqual(signedOut.body.data.comments, []);
+  });
+});